@@ -3,11 +3,162 @@
  * Handles initialization, tab launching, and message passing
  */
 
-// Import config and storage functions for service worker
-importScripts('config.js', 'storage.js');
+// Import the browser.* polyfill, config and storage functions for service worker.
+// Chrome only exposes the chrome.* namespace, so the polyfill must load first.
+importScripts('browser-polyfill.js', 'config.js', 'storage.js');
 
-// Track tabs being automated
-const automatingTabs = new Map();
+// Helper functions content.js exposes to automation scripts
+const AUTOMATION_HELPERS = [
+  'waitForElement',
+  'fillInput',
+  'clickElement',
+  'waitForNavigation',
+  'sleep',
+  'waitForElements',
+  'elementExists',
+  'getTextContent',
+  'selectOption',
+  'setChecked',
+  'scrollToElement',
+  'typeText',
+  'log',
+  'waitForDOMReady',
+  'waitForPageLoad',
+  'waitForNetworkIdle',
+  'console'
+];
+
+// userScripts world that automation scripts run in
+const USER_SCRIPT_WORLD_ID = 'linkstart';
+
+// storage.session key prefix for tabs waiting for automation (one key per tab).
+// Session storage outlives service worker restarts, unlike an in-memory Map.
+const AUTOMATING_TAB_PREFIX = 'automatingTab:';
+
+// Alarm name prefix for delayed autostart launches (followed by the group ID)
+const AUTOSTART_ALARM_PREFIX = 'autostart:';
+
+// Alarm name prefix for a tracked tab's automation deadline (followed by the tab ID)
+const AUTOMATION_DEADLINE_ALARM_PREFIX = 'automationDeadline:';
+
+// chrome.alarms are clamped to this minimum delay
+const MIN_ALARM_DELAY = 30000;
+
+// storage.session key for autostart groups still waiting for the previous one to launch
+const AUTOSTART_QUEUE_KEY = 'autostartQueue';
+
+// Seconds to wait before an autostart group launches if it doesn't set its own delay
+const DEFAULT_AUTOSTART_DELAY = 10;
+
+// Network readiness check before autostart: default maximum wait (seconds),
+// time between checks (ms) and how long a probe request may take (ms)
+const DEFAULT_READINESS_MAX_WAIT = 60;
+const READINESS_POLL_INTERVAL = 2000;
+const READINESS_PROBE_TIMEOUT = 5000;
+
+// storage.local key for when each group last launched at startup: group ID -> timestamp
+const AUTOSTART_RUNS_KEY = 'autostartRuns';
+
+// Alarm name prefix for scheduled launches (followed by groupId:scheduleId)
+const SCHEDULE_ALARM_PREFIX = 'schedule:';
+
+// storage.local key for the occurrence each schedule last launched: 'groupId:scheduleId' -> timestamp
+const SCHEDULE_RUNS_KEY = 'scheduleRuns';
+
+// Schedule run claims, chained so an overdue alarm and the startup catch-up can't both launch
+let scheduleRunClaims = Promise.resolve();
+
+// Scheduled launches firing this late (ms), e.g. after the computer slept, count as missed
+const MISSED_LAUNCH_GRACE = 5 * 60 * 1000;
+
+// Context menu submenus listing the groups: menu item ID prefix, title and where they show
+const CONTEXT_MENU_ACTIONS = [
+  { id: 'launchGroup', title: 'Launch', contexts: ['action'] },
+  { id: 'addPageToGroup', title: 'Add this page to LinkStart group', contexts: ['page'] },
+  { id: 'addLinkToGroup', title: 'Add link to LinkStart group', contexts: ['link'] }
+];
+
+// Rebuilds of the context menus, chained so they run one at a time
+let contextMenusBuilt = Promise.resolve();
+
+// Most suggestions shown for the address bar keyword
+const OMNIBOX_MAX_SUGGESTIONS = 6;
+
+// Missed scheduled launches older than this (ms) aren't caught up
+const CATCH_UP_WINDOW = 12 * 60 * 60 * 1000;
+
+// Default time (seconds) a launched tab is tracked for pending automation stages
+const DEFAULT_AUTOMATION_TIMEOUT = 120;
+
+// How open tabs are matched to a group's sites when the group doesn't say
+const DEFAULT_DUPLICATE_MATCH = 'exact';
+
+// Launch queue used when a group doesn't set its own:
+// stagger - ms between opening tabs; maxConcurrent - tabs loading at once (0 = no limit);
+// waitFor - when a tab stops counting as loading ('load' or 'automation')
+const DEFAULT_LAUNCH_QUEUE = { stagger: 200, maxConcurrent: 0, waitFor: 'load' };
+
+// How often (ms) the launch queue checks whether a loading tab has settled
+const SETTLE_POLL_INTERVAL = 500;
+
+// Automation scripts injected that haven't reported back yet: tabId -> run ID
+const runningAutomationTabs = new Map();
+
+// Latest stage claim per tab, which the next claim for that tab waits on: tabId -> Promise
+const stageClaims = new Map();
+
+// How each tab's latest automation run ended: tabId -> 'complete' | 'error' | 'expired'
+const automationResults = new Map();
+
+// Log lines kept per run in the run log
+const RUN_LOG_MAX_LINES = 200;
+
+// Latest log lines kept per site in the launch progress
+const PROGRESS_LOG_LINES = 50;
+
+// Time (ms) a failed tab is shown before its screenshot is taken, so it can paint
+const SCREENSHOT_DELAY = 300;
+
+// Error notifications for runs with a screenshot, which open the run log when clicked
+const RUN_NOTIFICATION_PREFIX = 'automation-error:';
+
+// Why a launched site failed, by page load or automation outcome
+const PROGRESS_FAILURES = {
+  error: 'Automation script failed',
+  expired: 'Never reached its automation pages',
+  closed: 'Tab was closed',
+  timeout: 'Timed out'
+};
+
+// Port name the popup connects with to follow launch progress
+const LAUNCH_PROGRESS_PORT = 'launchProgress';
+
+// Popup connections following launch progress
+const progressPorts = new Set();
+
+// Why a dependency held up the sites depending on it, by automation outcome
+const DEPENDENCY_FAILURES = {
+  error: 'failed its automation',
+  expired: 'never reached its automation pages',
+  closed: 'was closed',
+  timeout: 'timed out'
+};
+
+// storage.session key for windows opened for reused window layouts: layout name -> window ID
+const REUSABLE_WINDOWS_KEY = 'reusableWindows';
+
+// storage.session key for tabs opened by each group's launches:
+// group ID -> { tab ID: URL the tab was launched at }
+const LAUNCH_SESSIONS_KEY = 'launchSessions';
+
+// Session storage key for the progress of the most recent launch
+const LAUNCH_PROGRESS_KEY = 'launchProgress';
+
+// Changes to the stored launch progress, chained so they don't overwrite each other
+let progressUpdates = Promise.resolve();
+
+// Changes to the stored launch sessions, chained for the same reason
+let sessionUpdates = Promise.resolve();
 
 /**
  * Initialize extension on first install
@@ -17,168 +168,2587 @@ browser.runtime.onInstalled.addListener(async (details) => {
     debug.log('LinkStart installed');
     await initializeDefaultData();
 
-    // Open settings page on first install
-    browser.tabs.create({
-      url: browser.runtime.getURL('settings.html')
-    });
+    // Open settings page on first install
+    browser.tabs.create({
+      url: browser.runtime.getURL('settings.html')
+    });
+  }
+
+  // Alarms don't survive an update, so set the schedules up again
+  await scheduleGroupLaunches();
+  await refreshContextMenus();
+});
+
+/**
+ * Launch autostart groups when Chrome starts
+ * In parallel mode each group's delay counts from startup; otherwise groups launch
+ * one after another, each delay counting from the previous group's launch finishing
+ */
+browser.runtime.onStartup.addListener(async () => {
+  debug.log('Chrome started - checking for autostart groups');
+
+  try {
+    const [groups, settings, autostartRuns] = await Promise.all([
+      getGroups(),
+      getSettings(),
+      getAutostartRuns()
+    ]);
+
+    // Day, time window and once-a-day conditions apply to this start of the browser
+    const autostartGroups = getAutostartGroups(groups, settings)
+      .filter(({ group }) => meetsAutostartConditions(group, autostartRuns[group.id]))
+      .map(({ group, delay }) => ({ groupId: group.id, delay }));
+
+    // Group delays count from when the network is ready
+    if (autostartGroups.length === 0 || !(await waitForAutostartReadiness(settings))) {
+      return;
+    }
+
+    if (settings.autostartMode === 'parallel') {
+      for (const { groupId, delay } of autostartGroups) {
+        await scheduleAutostart(groupId, delay);
+      }
+      return;
+    }
+
+    // Later groups are scheduled as each launch finishes, so the queue must outlive the service worker
+    await chrome.storage.session.set({ [AUTOSTART_QUEUE_KEY]: autostartGroups });
+    await scheduleNextAutostart();
+  } catch (error) {
+    debug.error('Error launching autostart groups:', error);
+  }
+});
+
+/**
+ * Wait for the network before autostart, if the settings ask for it
+ * Waits until the browser is online and the probe URL (if any) answers, up to the maximum wait
+ * @param {Object} settings - Extension settings
+ * @returns {Promise<boolean>} True if autostart should go ahead
+ */
+async function waitForAutostartReadiness(settings) {
+  if (settings.autostartReadiness !== 'network') {
+    return true;
+  }
+
+  const maxWait = settings.readinessMaxWait || DEFAULT_READINESS_MAX_WAIT;
+  const deadline = Date.now() + maxWait * 1000;
+  debug.log('Waiting for the network before autostart');
+
+  while (Date.now() < deadline) {
+    if (navigator.onLine && await probeUrl(settings.readinessProbeUrl)) {
+      debug.log('Network ready, starting autostart');
+      return true;
+    }
+
+    // Extension API calls keep the service worker alive while it waits
+    await chrome.runtime.getPlatformInfo();
+
+    await new Promise(resolve => setTimeout(resolve, READINESS_POLL_INTERVAL));
+  }
+
+  const launchAnyway = settings.readinessTimeoutAction !== 'abort';
+  debug.warn(`Network not ready after ${maxWait} seconds`);
+  browser.notifications.create({
+    type: 'basic',
+    iconUrl: browser.runtime.getURL('icons/icon-128.png'),
+    title: 'LinkStart',
+    message: `Network not ready after ${maxWait} seconds. ` +
+      (launchAnyway ? 'Launching autostart groups anyway.' : 'Autostart groups were not launched.')
+  });
+  return launchAnyway;
+}
+
+/**
+ * Check whether a URL answers at all (any HTTP status counts)
+ * @param {string} [url] - URL to probe; no URL always passes
+ * @returns {Promise<boolean>}
+ */
+async function probeUrl(url) {
+  if (!url) {
+    return true;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), READINESS_PROBE_TIMEOUT);
+  try {
+    await fetch(url, { method: 'HEAD', mode: 'no-cors', cache: 'no-store', signal: controller.signal });
+    return true;
+  } catch (error) {
+    debug.log('Readiness probe failed:', url, error.message);
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Check an autostart group's day, time window and once-a-day conditions
+ * @param {Object} group - Group with optional autostartConditions
+ *   { days: [0-6, Sunday first], from: 'HH:MM', until: 'HH:MM', oncePerDay }
+ * @param {number} [lastRun] - When the group last launched at startup
+ * @returns {boolean} True if the group should launch on this start
+ */
+function meetsAutostartConditions(group, lastRun) {
+  const conditions = group.autostartConditions || {};
+  const now = new Date();
+
+  if (conditions.days && conditions.days.length > 0 && !conditions.days.includes(now.getDay())) {
+    debug.log(`Skipping autostart group "${group.name}": not on today's days`);
+    return false;
+  }
+
+  if (conditions.from || conditions.until) {
+    const current = now.toTimeString().slice(0, 5);
+    const from = conditions.from || '00:00';
+    const until = conditions.until || '24:00';
+    // A window such as 22:00-02:00 runs past midnight
+    const inWindow = from <= until
+      ? current >= from && current < until
+      : current >= from || current < until;
+    if (!inWindow) {
+      debug.log(`Skipping autostart group "${group.name}": outside ${from}-${until}`);
+      return false;
+    }
+  }
+
+  if (conditions.oncePerDay && lastRun && new Date(lastRun).toDateString() === now.toDateString()) {
+    debug.log(`Skipping autostart group "${group.name}": already launched today`);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Check whether every enabled site in a group already has an open tab
+ * Matches the way the group's duplicate policy does
+ * @param {Object} group - Group object
+ * @returns {Promise<boolean>}
+ */
+async function areGroupTabsOpen(group) {
+  const sites = group.sites.filter(site => site.enabled !== false);
+  const tabs = await browser.tabs.query({});
+  const match = group.duplicateMatch || DEFAULT_DUPLICATE_MATCH;
+
+  return sites.length > 0 && sites.every(site => tabs.some(tab => matchesSiteUrl(tab.url, site, match)));
+}
+
+/**
+ * Read when each group last launched at startup
+ * @returns {Promise<Object>} Group ID -> timestamp
+ */
+async function getAutostartRuns() {
+  const result = await browser.storage.local.get(AUTOSTART_RUNS_KEY);
+  return result[AUTOSTART_RUNS_KEY] || {};
+}
+
+/**
+ * Record when a group launched at startup
+ * @param {string} groupId - Group ID
+ * @param {number} time - Timestamp
+ */
+async function setAutostartRun(groupId, time) {
+  const runs = await getAutostartRuns();
+  runs[groupId] = time;
+  await browser.storage.local.set({ [AUTOSTART_RUNS_KEY]: runs });
+}
+
+/**
+ * List the groups to launch at startup, in their autostart order
+ * Groups without their own delay fall back to the old global autostartDelay setting
+ * @param {Array} groups - All groups
+ * @param {Object} settings - Extension settings
+ * @returns {Array} [{ group, delay }] with delays in milliseconds
+ */
+function getAutostartGroups(groups, settings) {
+  const fallbackDelay = settings.autostartDelay !== undefined ? settings.autostartDelay : DEFAULT_AUTOSTART_DELAY;
+
+  return groups
+    .map((group, index) => ({ group, index }))
+    .filter(({ group }) => group.autostart === true && group.sites.length > 0)
+    .sort((a, b) => {
+      const orderA = Number.isInteger(a.group.autostartOrder) ? a.group.autostartOrder : Infinity;
+      const orderB = Number.isInteger(b.group.autostartOrder) ? b.group.autostartOrder : Infinity;
+      return (orderA - orderB) || (a.index - b.index);
+    })
+    .map(({ group }) => ({
+      group,
+      delay: (Number.isInteger(group.autostartDelay) ? group.autostartDelay : fallbackDelay) * 1000
+    }));
+}
+
+/**
+ * Schedule the next group waiting in the sequential autostart queue
+ */
+async function scheduleNextAutostart() {
+  const result = await chrome.storage.session.get(AUTOSTART_QUEUE_KEY);
+  const [next, ...rest] = result[AUTOSTART_QUEUE_KEY] || [];
+  if (!next) {
+    return;
+  }
+
+  await chrome.storage.session.set({ [AUTOSTART_QUEUE_KEY]: rest });
+  debug.log(`Launching autostart group ${next.groupId} in ${next.delay/1000} seconds`);
+  await scheduleAutostart(next.groupId, next.delay);
+}
+
+/**
+ * Launch an autostart group unless its tabs are already open, then schedule the one queued after it
+ * @param {string} groupId - ID of the group to launch
+ */
+async function launchAutostartGroup(groupId) {
+  const groups = await getGroups();
+  const group = groups.find(g => g.id === groupId);
+
+  // Checked after the delay, once restored tabs have had time to appear
+  const conditions = (group && group.autostartConditions) || {};
+  if (!group) {
+    debug.warn('Autostart group not found:', groupId);
+  } else if (conditions.skipIfOpen && await areGroupTabsOpen(group)) {
+    debug.log(`Skipping autostart group "${group.name}": its sites are already open`);
+  } else {
+    await setAutostartRun(groupId, Date.now());
+    await launchGroup(groupId);
+  }
+
+  await scheduleNextAutostart();
+}
+
+/**
+ * Schedule an autostart launch that survives service worker restarts
+ * @param {string} groupId - ID of the group to launch
+ * @param {number} delay - Delay in milliseconds
+ */
+async function scheduleAutostart(groupId, delay) {
+  const alarmName = AUTOSTART_ALARM_PREFIX + groupId;
+  await chrome.alarms.create(alarmName, { when: Date.now() + delay });
+
+  // Alarms can't fire sooner than MIN_ALARM_DELAY, so shorter delays also use a
+  // timer. Whichever clears the alarm first launches; the alarm covers eviction.
+  if (delay < MIN_ALARM_DELAY) {
+    setTimeout(async () => {
+      if (await chrome.alarms.clear(alarmName)) {
+        launchAutostartGroup(groupId);
+      }
+    }, delay);
+  }
+}
+
+/**
+ * Launch groups whose autostart alarm has fired
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(AUTOSTART_ALARM_PREFIX)) {
+    launchAutostartGroup(alarm.name.slice(AUTOSTART_ALARM_PREFIX.length));
+  }
+});
+
+/**
+ * Set up scheduled launches when the browser starts, catching up on any missed while it was closed
+ */
+browser.runtime.onStartup.addListener(async () => {
+  try {
+    await scheduleGroupLaunches();
+    await catchUpMissedLaunches();
+  } catch (error) {
+    debug.error('Error scheduling group launches:', error);
+  }
+});
+
+/**
+ * Reschedule launches and rebuild the context menus whenever groups are saved
+ */
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.groups) {
+    scheduleGroupLaunches().catch(error => debug.error('Error scheduling group launches:', error));
+    refreshContextMenus();
+  }
+});
+
+/**
+ * Launch groups whose schedule alarm has fired
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+    const [groupId, scheduleId] = alarm.name.slice(SCHEDULE_ALARM_PREFIX.length).split(':');
+    runScheduledLaunch(groupId, scheduleId, alarm.scheduledTime);
+  }
+});
+
+/**
+ * Find the next (or most recent) time a schedule is due
+ * @param {Object} schedule - { time: 'HH:MM', days: [0-6, Sunday first] }
+ * @param {number} from - Timestamp to search from
+ * @param {number} direction - 1 for the next occurrence after `from`, -1 for the last one at or before it
+ * @returns {number|null} Timestamp, or null if the schedule has no days
+ */
+function getScheduleOccurrence(schedule, from, direction) {
+  const [hours, minutes] = (schedule.time || '').split(':').map(Number);
+  if (Number.isNaN(hours) || Number.isNaN(minutes)) {
+    return null;
+  }
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const candidate = new Date(from);
+    candidate.setDate(candidate.getDate() + offset * direction);
+    candidate.setHours(hours, minutes, 0, 0);
+
+    const time = candidate.getTime();
+    const inRange = direction > 0 ? time > from : time <= from;
+    if (inRange && (schedule.days || []).includes(candidate.getDay())) {
+      return time;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read when each schedule last launched
+ * @returns {Promise<Object>} 'groupId:scheduleId' -> timestamp of the launched occurrence
+ */
+async function getScheduleRuns() {
+  const result = await browser.storage.local.get(SCHEDULE_RUNS_KEY);
+  return result[SCHEDULE_RUNS_KEY] || {};
+}
+
+/**
+ * Record the occurrence a schedule launches for, so it never launches twice
+ * @param {string} key - 'groupId:scheduleId'
+ * @param {number} occurrence - Timestamp the launch was scheduled for
+ * @returns {Promise<boolean>} False if this or a later occurrence was already claimed
+ */
+function claimScheduleRun(key, occurrence) {
+  const claim = scheduleRunClaims.then(async () => {
+    const runs = await getScheduleRuns();
+    if ((runs[key] || 0) >= occurrence) {
+      return false;
+    }
+
+    runs[key] = occurrence;
+    await browser.storage.local.set({ [SCHEDULE_RUNS_KEY]: runs });
+    return true;
+  });
+  scheduleRunClaims = claim.catch(() => {});
+  return claim;
+}
+
+/**
+ * Create one alarm per enabled schedule for its next occurrence, replacing the old ones
+ */
+async function scheduleGroupLaunches() {
+  const [groups, runs, alarms] = await Promise.all([
+    getGroups(),
+    getScheduleRuns(),
+    chrome.alarms.getAll()
+  ]);
+
+  for (const alarm of alarms) {
+    if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+
+  for (const group of groups) {
+    for (const schedule of group.schedules || []) {
+      if (schedule.enabled === false) {
+        continue;
+      }
+
+      // Start after the last launch, so an alarm firing a moment early doesn't repeat it
+      const key = `${group.id}:${schedule.id}`;
+      const when = getScheduleOccurrence(schedule, Math.max(Date.now(), runs[key] || 0), 1);
+      if (when !== null) {
+        await chrome.alarms.create(SCHEDULE_ALARM_PREFIX + key, { when });
+      }
+    }
+  }
+}
+
+/**
+ * Launch a group for a schedule's alarm, then schedule its next occurrence
+ * @param {string} groupId - Group ID
+ * @param {string} scheduleId - Schedule ID
+ * @param {number} occurrence - Time the alarm was scheduled for
+ */
+async function runScheduledLaunch(groupId, scheduleId, occurrence) {
+  try {
+    const [groups, runs] = await Promise.all([getGroups(), getScheduleRuns()]);
+    const group = groups.find(g => g.id === groupId);
+    const schedule = group && (group.schedules || []).find(s => s.id === scheduleId);
+    const key = `${groupId}:${scheduleId}`;
+
+    if (!schedule || schedule.enabled === false || (runs[key] || 0) >= occurrence) {
+      return;
+    }
+
+    // Alarms fire late when the browser or computer was asleep; that's a missed launch
+    const late = Date.now() - occurrence > MISSED_LAUNCH_GRACE;
+    const catchUp = schedule.catchUp && Date.now() - occurrence <= CATCH_UP_WINDOW;
+    if (!(await claimScheduleRun(key, occurrence))) {
+      return;
+    }
+
+    if (late && !catchUp) {
+      debug.log(`Skipping missed scheduled launch of "${group.name}"`);
+    } else {
+      debug.log(`Scheduled launch of "${group.name}"`);
+      await launchGroup(groupId);
+    }
+  } catch (error) {
+    debug.error('Error running scheduled launch:', error);
+  } finally {
+    await scheduleGroupLaunches();
+  }
+}
+
+/**
+ * Launch groups whose schedule came due while the browser was closed
+ * Only schedules with catch-up turned on, and only their latest missed occurrence
+ */
+async function catchUpMissedLaunches() {
+  const [groups, runs] = await Promise.all([getGroups(), getScheduleRuns()]);
+  const now = Date.now();
+
+  for (const group of groups) {
+    for (const schedule of group.schedules || []) {
+      if (schedule.enabled === false || !schedule.catchUp) {
+        continue;
+      }
+
+      const key = `${group.id}:${schedule.id}`;
+      const missed = getScheduleOccurrence(schedule, now, -1);
+      // Occurrences from before the schedule was last edited were never due
+      const since = Math.max(runs[key] || 0, schedule.updatedAt || 0);
+
+      if (missed !== null && missed > since && now - missed <= CATCH_UP_WINDOW &&
+        await claimScheduleRun(key, missed)) {
+        debug.log(`Catching up missed scheduled launch of "${group.name}"`);
+        await launchGroup(group.id);
+      }
+    }
+  }
+}
+
+/**
+ * List the next scheduled launches across all groups
+ * @param {number} limit - Most launches to list
+ * @returns {Promise<Array>} [{ groupId, groupName, scheduleId, when }] soonest first
+ */
+async function getUpcomingLaunches(limit) {
+  const [groups, runs] = await Promise.all([getGroups(), getScheduleRuns()]);
+  const upcoming = [];
+
+  groups.forEach(group => {
+    (group.schedules || []).forEach(schedule => {
+      if (schedule.enabled === false) {
+        return;
+      }
+
+      // A schedule can't fill the list with more than `limit` launches
+      let from = Math.max(Date.now(), runs[`${group.id}:${schedule.id}`] || 0);
+      for (let i = 0; i < limit; i++) {
+        const when = getScheduleOccurrence(schedule, from, 1);
+        if (when === null) {
+          break;
+        }
+        upcoming.push({ groupId: group.id, groupName: group.name, scheduleId: schedule.id, when });
+        from = when;
+      }
+    });
+  });
+
+  return upcoming.sort((a, b) => a.when - b.when).slice(0, limit);
+}
+
+/**
+ * Launch a group of sites
+ * Sites open in order through a queue that limits how many tabs load at once
+ * @param {string} groupId - ID of the group to launch
+ * @param {Object} [options]
+ * @param {boolean} [options.newWindow] - Launch into a new window instead of the current one
+ * @returns {Promise<Array>} One result per site, in launch order:
+ *   { order, siteId, name, url, status: 'opened'|'reused'|'failed'|'skipped', tabId?, error?, outcome? }
+ */
+async function launchGroup(groupId, options = {}) {
+  const results = [];
+
+  try {
+    const groups = await getGroups();
+    const group = groups.find(g => g.id === groupId);
+
+    if (!group) {
+      debug.error('Group not found:', groupId);
+      return results;
+    }
+
+    debug.log('Launching group:', group.name);
+
+    // Filter enabled sites, moving sites that depend on others after their dependencies
+    const sites = orderByDependencies(group.sites.filter(site => site.enabled !== false));
+
+    if (sites.length === 0) {
+      browser.notifications.create({
+        type: 'basic',
+        iconUrl: browser.runtime.getURL('icons/icon-128.png'),
+        title: 'LinkStart',
+        message: 'No sites to launch in this group'
+      });
+      return results;
+    }
+
+    // Track each site's state for the popup
+    const progressId = startLaunchProgress(group, sites);
+
+    // Open the group's own windows, unless it launches into the current window.
+    // A new window stands in for the current one when asked for
+    const layoutGroup = options.newWindow && group.openIn !== 'windows'
+      ? { ...group, openIn: 'windows', windows: [{ id: 'new-window' }] }
+      : group;
+    const groupWindows = getGroupWindows(layoutGroup);
+    const launchedTabs = [];
+    let focusTab = null;
+
+    // Sites already open can be switched to or reloaded instead of opened again
+    const reuse = ['focus', 'reload'].includes(group.duplicatePolicy)
+      ? {
+        policy: group.duplicatePolicy,
+        match: group.duplicateMatch || DEFAULT_DUPLICATE_MATCH,
+        rerunAutomation: group.rerunAutomation === true,
+        claimedTabIds: new Set()
+      }
+      : null;
+
+    const queue = getLaunchQueueOptions(group);
+    // Tabs still counting against the loading limit
+    const loading = new Set();
+    // Sites this launch has reached, for the sites that depend on them
+    const launched = new Map();
+
+    for (let i = 0; i < sites.length; i++) {
+      const site = sites[i];
+      const result = { order: i + 1, siteId: site.id, name: site.name, url: site.url };
+      results.push(result);
+
+      // Sites with dependencies only open once their dependencies' automation has succeeded
+      const blocker = await waitForDependencies(site, sites, launched);
+      if (blocker) {
+        debug.warn(`Skipping ${site.name}: ${blocker}`);
+        result.status = 'skipped';
+        result.error = blocker;
+        launched.set(site.id, {});
+        updateSiteProgress(progressId, site.id, { state: 'failed', error: blocker });
+        continue;
+      }
+
+      // Add delay between tab opens to avoid overwhelming the browser
+      if (i > 0 && queue.stagger > 0) {
+        await new Promise(resolve => setTimeout(resolve, queue.stagger));
+      }
+
+      // Wait for a loading slot to free up
+      while (queue.maxConcurrent > 0 && loading.size >= queue.maxConcurrent) {
+        await Promise.race(loading);
+      }
+
+      try {
+        const getWindowId = groupWindows ? () => groupWindows.getWindowId(site) : undefined;
+        const tab = await launchSite(site, getWindowId, reuse);
+        const reused = reuse !== null && reuse.claimedTabIds.has(tab.id);
+
+        result.status = reused ? 'reused' : 'opened';
+        result.tabId = tab.id;
+        launched.set(site.id, {
+          tabId: tab.id,
+          expectsAutomation: getAutomationStages(site).length > 0 && (!reused || reuse.rerunAutomation),
+          timeout: site.automationTimeout || DEFAULT_AUTOMATION_TIMEOUT
+        });
+        watchSiteProgress(progressId, site, tab.id, launched.get(site.id).expectsAutomation);
+
+        // Reused tabs were open before the launch, so closing the group leaves them alone
+        if (!reused) {
+          await addToLaunchSession(group.id, tab.id, site.id, site.url);
+        }
+        if (reuse) {
+          reuse.claimedTabIds.add(tab.id);
+        }
+        launchedTabs.push(tab);
+        if (site.focus) {
+          focusTab = tab;
+        }
+
+        if (queue.maxConcurrent > 0) {
+          const timeout = site.automationTimeout || DEFAULT_AUTOMATION_TIMEOUT;
+          const settling = waitForTabToSettle(tab.id, queue.waitFor, timeout).then(outcome => {
+            result.outcome = outcome;
+            loading.delete(settling);
+          });
+          loading.add(settling);
+        }
+      } catch (error) {
+        debug.error('Error launching site:', site.url, error);
+        result.status = 'failed';
+        result.error = error.message;
+        launched.set(site.id, {});
+        updateSiteProgress(progressId, site.id, { state: 'failed', error: error.message });
+      }
+    }
+
+    // New windows open with a blank tab; close it now the sites are open
+    if (groupWindows) {
+      const placeholderTabIds = await groupWindows.getPlaceholderTabIds();
+      if (placeholderTabIds.length > 0) {
+        await browser.tabs.remove(placeholderTabIds);
+      }
+    }
+
+    await groupLaunchedTabs(group, launchedTabs);
+
+    // Bring the site marked "focus" to the front once everything is open
+    if (focusTab) {
+      await browser.tabs.update(focusTab.id, { active: true });
+      await browser.windows.update(focusTab.windowId, { focused: true });
+    }
+
+    // Report once the last tabs have finished loading
+    await Promise.all(loading);
+
+    const opened = results.filter(result => result.status === 'opened' || result.status === 'reused').length;
+    const failed = results.length - opened;
+    browser.notifications.create({
+      type: 'basic',
+      iconUrl: browser.runtime.getURL('icons/icon-128.png'),
+      title: failed > 0 ? 'LinkStart Error' : 'LinkStart',
+      message: `Launched ${opened} site${opened !== 1 ? 's' : ''} from "${group.name}"` +
+        (failed > 0 ? `; ${failed} failed or skipped` : '')
+    });
+
+  } catch (error) {
+    debug.error('Error launching group:', error);
+    browser.notifications.create({
+      type: 'basic',
+      iconUrl: browser.runtime.getURL('icons/icon-128.png'),
+      title: 'LinkStart Error',
+      message: 'Failed to launch group: ' + error.message
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Order sites so each one comes after the sites it depends on
+ * Sites keep their list order within the same dependency depth; sites in a
+ * dependency cycle go last and are skipped when the launch reaches them
+ * @param {Array} sites - Enabled sites in list order
+ * @returns {Array} Sites in launch order
+ */
+function orderByDependencies(sites) {
+  const sitesById = new Map(sites.map(site => [site.id, site]));
+  const depths = new Map();
+
+  const getDepth = (site, visiting) => {
+    if (depths.has(site.id)) {
+      return depths.get(site.id);
+    }
+    if (visiting.has(site.id)) {
+      return Infinity;
+    }
+
+    visiting.add(site.id);
+    const dependencies = (site.dependsOn || [])
+      .map(id => sitesById.get(id))
+      .filter(Boolean);
+    const depth = dependencies.length > 0
+      ? 1 + Math.max(...dependencies.map(dependency => getDepth(dependency, visiting)))
+      : 0;
+    visiting.delete(site.id);
+
+    depths.set(site.id, depth);
+    return depth;
+  };
+
+  return sites
+    .map((site, index) => ({ site, index, depth: getDepth(site, new Set()) }))
+    .sort((a, b) => (a.depth - b.depth) || (a.index - b.index))
+    .map(entry => entry.site);
+}
+
+/**
+ * Wait for the sites a site depends on to load and finish their automation
+ * @param {Object} site - Site object with optional dependsOn site IDs
+ * @param {Array} sites - Sites in this launch
+ * @param {Map} launched - Site ID -> { tabId, expectsAutomation, timeout } for sites already reached
+ * @returns {Promise<string|null>} Why the site can't open, or null once every dependency has succeeded
+ */
+async function waitForDependencies(site, sites, launched) {
+  for (const dependencyId of site.dependsOn || []) {
+    // Disabled or removed sites don't hold anything up
+    const dependency = sites.find(s => s.id === dependencyId);
+    if (!dependency) {
+      continue;
+    }
+
+    const entry = launched.get(dependencyId);
+    if (!entry) {
+      return `Circular dependency on "${dependency.name}"`;
+    }
+    if (entry.tabId === undefined) {
+      return `Depends on "${dependency.name}", which didn't open`;
+    }
+
+    // Several sites can wait on the same dependency
+    if (!entry.outcome) {
+      entry.outcome = entry.expectsAutomation
+        ? waitForAutomationResult(entry.tabId, entry.timeout)
+        : waitForTabToSettle(entry.tabId, 'load', entry.timeout);
+    }
+
+    const outcome = await entry.outcome;
+    if (outcome !== 'complete' && outcome !== 'loaded') {
+      return `Depends on "${dependency.name}", which ${DEPENDENCY_FAILURES[outcome]}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Wait for a tab's automation to finish every stage, or fail
+ * @param {number} tabId - Tab ID
+ * @param {number} timeout - Seconds to wait at most
+ * @returns {Promise<string>} 'complete', 'error', 'expired', 'closed' or 'timeout'
+ */
+async function waitForAutomationResult(tabId, timeout) {
+  const deadline = Date.now() + timeout * 1000;
+
+  while (Date.now() < deadline) {
+    if (automationResults.has(tabId)) {
+      return automationResults.get(tabId);
+    }
+
+    try {
+      await browser.tabs.get(tabId);
+    } catch (error) {
+      return 'closed';
+    }
+
+    await new Promise(resolve => setTimeout(resolve, SETTLE_POLL_INTERVAL));
+  }
+
+  return 'timeout';
+}
+
+/**
+ * Get a group's launch queue settings, filling in defaults
+ * @param {Object} group - Group object with optional launchQueue
+ * @returns {Object} { stagger, maxConcurrent, waitFor }
+ */
+function getLaunchQueueOptions(group) {
+  return { ...DEFAULT_LAUNCH_QUEUE, ...group.launchQueue };
+}
+
+/**
+ * Wait until a launched tab stops counting against the group's loading limit
+ * Lazy-loaded tabs never load on their own, so they count as settled straight away
+ * @param {number} tabId - Tab ID
+ * @param {string} waitFor - 'load' (page finished loading) or 'automation' (automation finished too)
+ * @param {number} timeout - Seconds to wait at most
+ * @returns {Promise<string>} 'loaded', 'automated', 'closed' or 'timeout'
+ */
+async function waitForTabToSettle(tabId, waitFor, timeout) {
+  const deadline = Date.now() + timeout * 1000;
+
+  while (Date.now() < deadline) {
+    let tab;
+    try {
+      tab = await browser.tabs.get(tabId);
+    } catch (error) {
+      return 'closed';
+    }
+
+    if (tab.discarded) {
+      return 'loaded';
+    }
+    if (tab.status === 'complete') {
+      if (waitFor !== 'automation') {
+        return 'loaded';
+      }
+      if (!(await isAutomationPending(tabId))) {
+        return 'automated';
+      }
+    }
+
+    await new Promise(resolve => setTimeout(resolve, SETTLE_POLL_INTERVAL));
+  }
+
+  return 'timeout';
+}
+
+/**
+ * Get the window layout a site opens in (the group's first window by default)
+ * @param {Object} group - Group object with windows
+ * @param {Object} site - Site object with windowLayoutId
+ * @returns {Object|undefined} Window layout
+ */
+function getSiteWindowLayout(group, site) {
+  const layouts = group.windows || [];
+  return layouts.find(layout => layout.id === site.windowLayoutId) || layouts[0];
+}
+
+/**
+ * Get the windows a group launches into, opened (or reused) as its sites need them
+ * A layout's window is only opened once a site assigned to it needs a new tab, so sites
+ * that all reuse open tabs don't leave an empty window behind
+ * @param {Object} group - Group object with openIn and windows
+ * @returns {Object|null} { getWindowId(site), getPlaceholderTabIds() },
+ *   or null when the group launches into the current window
+ */
+function getGroupWindows(group) {
+  if (group.openIn !== 'windows' || !group.windows || group.windows.length === 0) {
+    return null;
+  }
+
+  // Window layout ID -> Promise of { windowId, placeholderTabId }
+  const opened = new Map();
+
+  return {
+    getWindowId(site) {
+      const layout = getSiteWindowLayout(group, site);
+      if (!opened.has(layout.id)) {
+        opened.set(layout.id, openLayoutWindow(layout));
+      }
+      return opened.get(layout.id).then(target => target.windowId);
+    },
+
+    async getPlaceholderTabIds() {
+      const targets = await Promise.allSettled(opened.values());
+      return targets
+        .filter(target => target.status === 'fulfilled' && target.value.placeholderTabId !== undefined)
+        .map(target => target.value.placeholderTabId);
+    }
+  };
+}
+
+/**
+ * Open a window for a layout, reusing the last window opened for a reused layout name
+ * @param {Object} layout - { name, reuse, width, height, left, top, state }
+ * @returns {Promise<Object>} { windowId, placeholderTabId }
+ */
+async function openLayoutWindow(layout) {
+  const reuseName = layout.reuse && layout.name ? layout.name : null;
+
+  if (reuseName) {
+    const windowId = await getReusableWindowId(reuseName);
+    if (windowId !== null) {
+      try {
+        await browser.windows.update(windowId, getWindowBounds(layout));
+        return { windowId };
+      } catch (error) {
+        // Window was closed since the last launch
+        debug.log('Reusable window closed, opening a new one:', reuseName);
+      }
+    }
+  }
+
+  const created = await browser.windows.create({
+    url: 'about:blank',
+    ...getWindowBounds(layout)
+  });
+
+  if (reuseName) {
+    await setReusableWindowId(reuseName, created.id);
+  }
+
+  return { windowId: created.id, placeholderTabId: created.tabs[0].id };
+}
+
+/**
+ * Build windows.create/update options for a layout
+ * @param {Object} layout - Window layout
+ * @returns {Object} Either a state or a size/position
+ */
+function getWindowBounds(layout) {
+  // Browsers reject a size or position combined with maximized/fullscreen/minimized
+  if (layout.state && layout.state !== 'normal') {
+    return { state: layout.state };
+  }
+
+  const bounds = {};
+  ['width', 'height', 'left', 'top'].forEach(key => {
+    if (Number.isFinite(layout[key])) {
+      bounds[key] = layout[key];
+    }
+  });
+  return bounds;
+}
+
+/**
+ * Get the window last opened for a reused layout name
+ * @param {string} name - Window layout name
+ * @returns {Promise<number|null>} Window ID
+ */
+async function getReusableWindowId(name) {
+  const result = await chrome.storage.session.get(REUSABLE_WINDOWS_KEY);
+  const windows = result[REUSABLE_WINDOWS_KEY] || {};
+  return name in windows ? windows[name] : null;
+}
+
+/**
+ * Remember the window opened for a reused layout name
+ * @param {string} name - Window layout name
+ * @param {number} windowId - Window ID
+ */
+async function setReusableWindowId(name, windowId) {
+  const result = await chrome.storage.session.get(REUSABLE_WINDOWS_KEY);
+  const windows = result[REUSABLE_WINDOWS_KEY] || {};
+  windows[name] = windowId;
+  await chrome.storage.session.set({ [REUSABLE_WINDOWS_KEY]: windows });
+}
+
+/**
+ * Bundle launched tabs into a native tab group named after the LinkStart group
+ * Tab groups can't span windows, so each window gets its own; a tab group with
+ * the same title in that window is reused instead of creating a duplicate
+ * @param {Object} group - Group object with tabGroup options
+ * @param {Array} tabs - Tabs opened by the launch
+ */
+async function groupLaunchedTabs(group, tabs) {
+  const options = group.tabGroup || {};
+  if (!options.enabled || tabs.length === 0) {
+    return;
+  }
+
+  if (!browser.tabGroups || !browser.tabs.group) {
+    debug.warn('Tab groups are not supported in this browser');
+    return;
+  }
+
+  const tabIdsByWindow = new Map();
+  tabs.forEach(tab => {
+    if (!tabIdsByWindow.has(tab.windowId)) {
+      tabIdsByWindow.set(tab.windowId, []);
+    }
+    tabIdsByWindow.get(tab.windowId).push(tab.id);
+  });
+
+  try {
+    for (const [windowId, tabIds] of tabIdsByWindow) {
+      const [existing] = await browser.tabGroups.query({ title: group.name, windowId });
+      const tabGroupId = existing
+        ? await browser.tabs.group({ groupId: existing.id, tabIds })
+        : await browser.tabs.group({ tabIds, createProperties: { windowId } });
+
+      await browser.tabGroups.update(tabGroupId, {
+        title: group.name,
+        color: options.color || 'grey',
+        collapsed: options.collapsed || false
+      });
+    }
+  } catch (error) {
+    debug.error('Error grouping tabs:', error);
+  }
+}
+
+/**
+ * Read the tabs opened by each group's launches
+ * Kept in storage.session so they survive the service worker restarting
+ * @returns {Promise<Object>} Group ID -> { tab ID: { siteId, url } the tab was launched at }
+ */
+async function getLaunchSessions() {
+  const result = await chrome.storage.session.get(LAUNCH_SESSIONS_KEY);
+  return result[LAUNCH_SESSIONS_KEY] || {};
+}
+
+/**
+ * Apply a change to the stored launch sessions
+ * Changes run one at a time, since tabs load and close while a launch is still adding to them
+ * @param {Function} change - Takes the current sessions and returns the new ones, or null to leave them
+ * @returns {Promise<void>}
+ */
+function changeLaunchSessions(change) {
+  sessionUpdates = sessionUpdates.then(async () => {
+    const sessions = change(await getLaunchSessions());
+    if (sessions) {
+      await chrome.storage.session.set({ [LAUNCH_SESSIONS_KEY]: sessions });
+    }
+  }).catch(error => {
+    debug.error('Error updating launch sessions:', error);
+  });
+  return sessionUpdates;
+}
+
+/**
+ * Add a finished automation run to the run log
+ * @param {Object} run - { id?, siteId, siteName, url, startedAt } where url is the page the script ran on
+ * @param {Object} result
+ * @param {string} result.outcome - 'success', 'error', 'expired' or 'interrupted'
+ * @param {string} [result.error] - Why the run failed
+ * @param {Array<Object>} [result.logs] - The script's log() and console output: { time, level, message }
+ * @param {string} [result.screenshot] - Data URL of the page when the script failed
+ * @returns {Promise<void>}
+ */
+async function recordRun(run, { outcome, error, logs, screenshot }) {
+  // Site IDs are unique across groups; the group's name is kept in case it's renamed later
+  const groups = await getGroups();
+  const group = groups.find(g => g.sites.some(site => site.id === run.siteId));
+
+  await addRunLogEntry({
+    id: run.id || generateId(),
+    timestamp: run.startedAt,
+    duration: Date.now() - run.startedAt,
+    groupId: group ? group.id : null,
+    groupName: group ? group.name : '',
+    siteId: run.siteId,
+    siteName: run.siteName,
+    url: run.url,
+    outcome,
+    error: error || null,
+    logs: (logs || []).slice(0, RUN_LOG_MAX_LINES),
+    screenshot: screenshot || null
+  });
+}
+
+/**
+ * Screenshot a tab whose automation failed, if failure screenshots are on
+ * The tab is switched to just long enough to capture it
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<string|null>} JPEG data URL, or null when off or the tab couldn't be captured
+ */
+async function captureFailureScreenshot(tabId) {
+  const settings = await getSettings();
+  if (settings.screenshotOnFailure !== true) {
+    return null;
+  }
+
+  try {
+    const tab = await browser.tabs.get(tabId);
+    const [previousTab] = await browser.tabs.query({ windowId: tab.windowId, active: true });
+
+    if (!tab.active) {
+      await browser.tabs.update(tabId, { active: true });
+      await new Promise(resolve => setTimeout(resolve, SCREENSHOT_DELAY));
+    }
+
+    const screenshot = await browser.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality: 70 });
+
+    // Go back to the tab that was showing
+    if (previousTab && previousTab.id !== tabId) {
+      await browser.tabs.update(previousTab.id, { active: true });
+    }
+    return screenshot;
+  } catch (error) {
+    // Minimized windows and browser pages can't be captured
+    debug.error('Error capturing failure screenshot:', error);
+    return null;
+  }
+}
+
+/**
+ * Notify that an automation script failed
+ * @param {string} error - Error message
+ * @param {string|null} screenshotRunId - Run whose screenshot the notification opens, if one was taken
+ */
+function notifyAutomationError(error, screenshotRunId) {
+  const notification = {
+    type: 'basic',
+    iconUrl: browser.runtime.getURL('icons/icon-128.png'),
+    title: 'Automation Error',
+    message: screenshotRunId ? `${error}\n\nClick to see a screenshot.` : error
+  };
+
+  if (screenshotRunId) {
+    browser.notifications.create(RUN_NOTIFICATION_PREFIX + screenshotRunId, notification);
+  } else {
+    browser.notifications.create(notification);
+  }
+}
+
+/**
+ * Open a failed run in the settings run log when its notification is clicked
+ */
+browser.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(RUN_NOTIFICATION_PREFIX)) return;
+
+  const runId = notificationId.slice(RUN_NOTIFICATION_PREFIX.length);
+  browser.tabs.create({ url: browser.runtime.getURL(`settings.html#run=${runId}`) });
+  browser.notifications.clear(notificationId);
+});
+
+/**
+ * Create the progress record for a launch, with every site queued
+ * @param {Object} group - Group being launched
+ * @param {Array} sites - Sites in launch order
+ * @returns {Object} Launch progress
+ */
+function createLaunchProgress(group, sites) {
+  return {
+    id: generateId(),
+    groupId: group.id,
+    groupName: group.name,
+    startedAt: Date.now(),
+    sites: sites.map(site => ({ siteId: site.id, name: site.name, url: site.url, state: 'queued' }))
+  };
+}
+
+/**
+ * Get the progress of the most recent launch
+ * @returns {Promise<Object|null>} { id, groupId, groupName, startedAt, sites: [{ siteId, name, url, state, tabId?, error?, detail? }] }
+ */
+async function getLaunchProgress() {
+  const result = await chrome.storage.session.get(LAUNCH_PROGRESS_KEY);
+  return result[LAUNCH_PROGRESS_KEY] || null;
+}
+
+/**
+ * Apply a change to the stored launch progress and send it to the popup
+ * Changes run one at a time, since sites finish loading concurrently
+ * @param {Function} change - Takes the current progress and returns the new one, or null to leave it
+ * @returns {Promise<void>}
+ */
+function changeLaunchProgress(change) {
+  progressUpdates = progressUpdates.then(async () => {
+    const progress = change(await getLaunchProgress());
+    if (progress) {
+      await chrome.storage.session.set({ [LAUNCH_PROGRESS_KEY]: progress });
+      broadcastLaunchProgress(progress);
+    }
+  }).catch(error => {
+    debug.error('Error updating launch progress:', error);
+  });
+  return progressUpdates;
+}
+
+/**
+ * Start tracking a launch's progress, replacing the previous launch's
+ * @param {Object} group - Group being launched
+ * @param {Array} sites - Sites in launch order
+ * @returns {string} Progress ID to update the launch's sites with
+ */
+function startLaunchProgress(group, sites) {
+  const progress = createLaunchProgress(group, sites);
+  changeLaunchProgress(() => progress);
+  return progress.id;
+}
+
+/**
+ * Update a site's progress
+ * @param {string} progressId - Launch the update is for; updates for an earlier launch are dropped
+ * @param {string} siteId - Site ID
+ * @param {Object} updates - { state?, tabId?, error?, detail? }
+ * @returns {Promise<void>}
+ */
+function updateSiteProgress(progressId, siteId, updates) {
+  return changeLaunchProgress(progress => {
+    const entry = progress && progress.id === progressId && progress.sites.find(e => e.siteId === siteId);
+    if (!entry) return null;
+
+    Object.assign(entry, updates);
+    return progress;
+  });
+}
+
+/**
+ * Note why a launched tab's automation failed, for the launch progress
+ * @param {number} tabId - Tab ID
+ * @param {string} error - Error message
+ * @returns {Promise<void>}
+ */
+function recordAutomationFailure(tabId, error) {
+  return changeLaunchProgress(progress => {
+    const entry = progress && progress.sites.find(e => e.tabId === tabId);
+    if (!entry) return null;
+
+    entry.error = error;
+    return progress;
+  });
+}
+
+/**
+ * Add a line the running script logged to its site's launch progress
+ * @param {number} tabId - Tab the script runs in
+ * @param {Object} entry - { time, level, message }
+ * @returns {Promise<void>}
+ */
+function recordAutomationLog(tabId, entry) {
+  return changeLaunchProgress(progress => {
+    const site = progress && progress.sites.find(e => e.tabId === tabId);
+    if (!site) return null;
+
+    site.logs = [...(site.logs || []), entry].slice(-PROGRESS_LOG_LINES);
+    return progress;
+  });
+}
+
+/**
+ * Send launch progress to every open popup
+ * @param {Object} progress - Launch progress
+ */
+function broadcastLaunchProgress(progress) {
+  progressPorts.forEach(port => {
+    try {
+      port.postMessage({ progress });
+    } catch (error) {
+      // Popup closed while the update was on its way
+      progressPorts.delete(port);
+    }
+  });
+}
+
+/**
+ * Follow a launched tab until its page has loaded and its automation has finished
+ * @param {string} progressId - Launch progress ID
+ * @param {Object} site - Site object
+ * @param {number} tabId - Tab opened or reused for the site
+ * @param {boolean} expectsAutomation - Whether automation runs in the tab this launch
+ */
+async function watchSiteProgress(progressId, site, tabId, expectsAutomation) {
+  updateSiteProgress(progressId, site.id, { state: 'loading', tabId });
+
+  // Lazy-loaded tabs don't load, or run their automation, until they're switched to
+  if (isLazyLoaded(site)) {
+    updateSiteProgress(progressId, site.id, { state: 'done', detail: 'Loads when you switch to it' });
+    return;
+  }
+
+  const timeout = site.automationTimeout || DEFAULT_AUTOMATION_TIMEOUT;
+  const loaded = await waitForTabToSettle(tabId, 'load', timeout);
+  if (loaded !== 'loaded') {
+    updateSiteProgress(progressId, site.id, { state: 'failed', error: PROGRESS_FAILURES[loaded] });
+    return;
+  }
+
+  if (!expectsAutomation) {
+    updateSiteProgress(progressId, site.id, { state: 'done' });
+    return;
+  }
+
+  updateSiteProgress(progressId, site.id, { state: 'automating' });
+  const outcome = await waitForAutomationResult(tabId, timeout);
+  if (outcome === 'complete') {
+    updateSiteProgress(progressId, site.id, { state: 'done' });
+  } else if (outcome === 'error') {
+    // The automation error handler records the script's own message
+    updateSiteProgress(progressId, site.id, { state: 'failed' });
+  } else {
+    updateSiteProgress(progressId, site.id, { state: 'failed', error: PROGRESS_FAILURES[outcome] });
+  }
+}
+
+/**
+ * Stream launch progress to the popup, starting with the most recent launch
+ */
+browser.runtime.onConnect.addListener(async (port) => {
+  if (port.name !== LAUNCH_PROGRESS_PORT) return;
+
+  progressPorts.add(port);
+  port.onDisconnect.addListener(() => progressPorts.delete(port));
+  port.postMessage({ progress: await getLaunchProgress() });
+});
+
+/**
+ * Receive the lines automation scripts log while they run
+ * Only scripts in the userScripts world can message the extension
+ */
+if (chrome.runtime.onUserScriptMessage) {
+  chrome.runtime.onUserScriptMessage.addListener((message, sender) => {
+    // Lines from a script that has since been replaced by a newer run are dropped
+    if (message.action === 'automationLog' && sender.tab &&
+        runningAutomationTabs.get(sender.tab.id) === message.runId) {
+      recordAutomationLog(sender.tab.id, message.entry);
+    }
+  });
+}
+
+/**
+ * Remember a tab opened by a group's launch so the group can be closed later
+ * @param {string} groupId - Group ID
+ * @param {number} tabId - Tab ID
+ * @param {string} siteId - Site the tab was launched for
+ * @param {string} url - URL the tab was launched at
+ */
+function addToLaunchSession(groupId, tabId, siteId, url) {
+  return changeLaunchSessions(sessions => {
+    const session = { ...sessions[groupId], [tabId]: { siteId, url } };
+
+    // Keep sessions in launch order, so the last one is the group launched most recently
+    delete sessions[groupId];
+    sessions[groupId] = session;
+    return sessions;
+  });
+}
+
+/**
+ * Record the page a launched tab has reached, so automation steps don't count as navigating away
+ * @param {Object} tab - Launched tab
+ */
+function updateLaunchSessionUrl(tab) {
+  return changeLaunchSessions(sessions => {
+    const session = Object.values(sessions).find(s => tab.id in s);
+    if (!session) return null;
+
+    session[tab.id].url = tab.url;
+    return sessions;
+  });
+}
+
+/**
+ * Forget a closed tab
+ * @param {number} tabId - Tab ID
+ */
+function removeFromLaunchSessions(tabId) {
+  return changeLaunchSessions(sessions => {
+    const groupId = Object.keys(sessions).find(id => tabId in sessions[id]);
+    if (!groupId) return null;
+
+    delete sessions[groupId][tabId];
+    if (Object.keys(sessions[groupId]).length === 0) {
+      delete sessions[groupId];
+    }
+    return sessions;
+  });
+}
+
+/**
+ * Find the most recently launched group that still has tabs open
+ * @returns {Promise<string|undefined>} Group ID
+ */
+async function getLastLaunchedGroupId() {
+  const sessions = await getLaunchSessions();
+  return Object.keys(sessions).pop();
+}
+
+/**
+ * Count the open tabs each group's launches left behind
+ * @returns {Promise<Object>} Group ID -> number of tabs
+ */
+async function getLaunchSessionCounts() {
+  const sessions = await getLaunchSessions();
+  const counts = {};
+  Object.keys(sessions).forEach(groupId => {
+    counts[groupId] = Object.keys(sessions[groupId]).length;
+  });
+  return counts;
+}
+
+/**
+ * List the open tabs a group's launches left behind
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Array<{tabId: number, siteId: string, url: string}>>} Tabs in launch order
+ */
+async function getLaunchSessionTabs(groupId) {
+  const sessions = await getLaunchSessions();
+  return Object.entries(sessions[groupId] || {})
+    .map(([tabId, launched]) => ({ tabId: Number(tabId), ...launched }));
+}
+
+/**
+ * Close the tabs a group's launches opened and cancel their pending automation
+ * @param {string} groupId - Group ID
+ * @param {boolean} spareNavigated - Keep tabs the user has since navigated elsewhere
+ * @returns {Promise<number>} Number of tabs closed
+ */
+async function closeGroup(groupId, spareNavigated) {
+  let session;
+  await changeLaunchSessions(sessions => {
+    session = sessions[groupId];
+    if (!session) return null;
+
+    delete sessions[groupId];
+    return sessions;
+  });
+  if (!session) {
+    return 0;
+  }
+
+  const tabIds = [];
+  for (const [key, launched] of Object.entries(session)) {
+    const tabId = Number(key);
+    await clearPendingAutomation(tabId);
+
+    // Tabs the user already closed have nothing left to close
+    const tab = await browser.tabs.get(tabId).catch(() => null);
+    if (!tab) {
+      continue;
+    }
+
+    if (spareNavigated && hasNavigatedAway(tab, launched.url)) {
+      continue;
+    }
+    tabIds.push(tabId);
+  }
+
+  if (tabIds.length > 0) {
+    await browser.tabs.remove(tabIds);
+  }
+  return tabIds.length;
+}
+
+/**
+ * Compare the windows a group's launch opened with the group's sites
+ * Launched tabs count as their sites; other web pages in those windows are matched by address
+ * to sites that have no tab, and the rest opened since the launch are new. Disabled sites never
+ * open, so they're left out
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} { added: pages to add, removed: sites without a tab,
+ *   reordered: whether the tabs are in a different order than the sites, order: site names in
+ *   tab order, live: the window's
+ *   sites ({ siteId }) and new pages ({ tabId }) in tab order }
+ */
+async function getWindowDiff(groupId) {
+  const groups = await getGroups();
+  const group = groups.find(g => g.id === groupId);
+  if (!group) {
+    throw new Error('Group not found');
+  }
+
+  const tracked = await getLaunchSessionTabs(groupId);
+  if (tracked.length === 0) {
+    throw new Error('None of the tabs this group opened are still open. Launch the group first.');
+  }
+
+  // A group can open several windows; keep them in launch order
+  const windowIds = [];
+  for (const { tabId } of tracked) {
+    const tab = await browser.tabs.get(tabId);
+    if (!windowIds.includes(tab.windowId)) {
+      windowIds.push(tab.windowId);
+    }
+  }
+
+  const tabs = [];
+  for (const windowId of windowIds) {
+    const windowTabs = await browser.tabs.query({ windowId });
+    tabs.push(...windowTabs.sort((a, b) => a.index - b.index));
+  }
+
+  const sites = group.sites.filter(site => site.enabled !== false);
+  const pages = getWebPages(tabs);
+  // Tab ID -> site ID
+  const matched = new Map();
+  const claimed = new Set();
+
+  // Launched tabs first, so a page matched by address can't take a launched tab's site
+  pages.forEach(page => {
+    const launched = tracked.find(t => t.tabId === page.tabId);
+    if (launched && sites.some(s => s.id === launched.siteId) && !claimed.has(launched.siteId)) {
+      matched.set(page.tabId, launched.siteId);
+      claimed.add(launched.siteId);
+    }
+  });
+  pages.forEach(page => {
+    if (matched.has(page.tabId)) return;
+    const site = sites.find(s => !claimed.has(s.id) &&
+      matchesSiteUrl(page.url, s, s.matchPattern ? 'pattern' : 'path'));
+    if (site) {
+      matched.set(page.tabId, site.id);
+      claimed.add(site.id);
+    }
+  });
+
+  // Tab IDs grow as tabs open, so tabs older than the launch are the user's own, not new sites
+  const firstLaunchedTabId = Math.min(...tracked.map(t => t.tabId));
+  const isNewPage = page => !matched.has(page.tabId) && page.tabId >= firstLaunchedTabId;
+
+  const liveOrder = pages.filter(page => matched.has(page.tabId)).map(page => matched.get(page.tabId));
+  const siteOrder = sites.map(site => site.id).filter(id => claimed.has(id));
+
+  return {
+    added: pages.filter(isNewPage),
+    removed: sites.filter(site => !claimed.has(site.id))
+      .map(site => ({ siteId: site.id, name: site.name, url: site.url })),
+    reordered: liveOrder.join() !== siteOrder.join(),
+    order: liveOrder.map(id => sites.find(site => site.id === id).name),
+    live: pages.filter(page => matched.has(page.tabId) || isNewPage(page))
+      .map(page => matched.has(page.tabId) ? { siteId: matched.get(page.tabId) } : { tabId: page.tabId })
+  };
+}
+
+/**
+ * Apply the chosen parts of a window diff to a group
+ * Sites that stay keep their options and automation; new pages are added after the tab before them
+ * @param {string} groupId - Group ID
+ * @param {Object} changes
+ * @param {number[]} changes.addTabIds - Tabs from the diff's added pages to add as sites
+ * @param {string[]} changes.removeSiteIds - Sites from the diff's removed sites to remove
+ * @param {boolean} changes.reorder - Put the sites in the window's tab order
+ * @returns {Promise<Object>} Updated group
+ */
+async function applyWindowDiff(groupId, { addTabIds = [], removeSiteIds = [], reorder = false }) {
+  // Work from the windows as they are now, in case they changed since the diff was shown
+  const diff = await getWindowDiff(groupId);
+  const groups = await getGroups();
+  const group = groups.find(g => g.id === groupId);
+
+  const removing = diff.removed.map(site => site.siteId).filter(id => removeSiteIds.includes(id));
+  let sites = group.sites.filter(site => !removing.includes(site.id));
+
+  if (reorder) {
+    // Sites with a tab take each other's places in tab order; the rest stay where they are
+    const liveSites = diff.live.filter(entry => entry.siteId)
+      .map(entry => sites.find(site => site.id === entry.siteId));
+    let next = 0;
+    sites = sites.map(site => liveSites.includes(site) ? liveSites[next++] : site);
+  }
+
+  const adding = diff.added.filter(page => addTabIds.includes(page.tabId));
+  const { entries } = await getUrlEntriesForPages(adding);
+  const newSites = new Map(adding.map((page, i) => [page.tabId, createSiteFromUrlEntry(entries[i])]));
+
+  diff.live.forEach((entry, index) => {
+    const site = newSites.get(entry.tabId);
+    if (!site) return;
+
+    const previousId = diff.live.slice(0, index).reverse()
+      .map(before => before.siteId || (newSites.get(before.tabId) || {}).id)
+      .find(id => id && sites.some(s => s.id === id));
+    const position = previousId ? sites.findIndex(s => s.id === previousId) + 1 : 0;
+    sites.splice(position, 0, site);
+  });
+
+  const updatedGroup = await updateGroup(groupId, { sites });
+
+  // The added tabs now belong to the group, so closing it closes them too
+  for (const [tabId, site] of newSites) {
+    await addToLaunchSession(groupId, tabId, site.id, site.url);
+  }
+
+  return updatedGroup;
+}
+
+/**
+ * Close the tabs of the most recently launched group that still has tabs open
+ * @returns {Promise<number>} Number of tabs closed
+ */
+async function closeLastLaunchedGroup() {
+  const groupId = await getLastLaunchedGroupId();
+  if (!groupId) {
+    browser.notifications.create({
+      type: 'basic',
+      iconUrl: browser.runtime.getURL('icons/icon-128.png'),
+      title: 'LinkStart',
+      message: 'No launched group has tabs open'
+    });
+    return 0;
+  }
+
+  const settings = await getSettings();
+  return closeGroup(groupId, settings.spareNavigatedTabs === true);
+}
+
+/**
+ * Check whether a launched tab now shows a different page than the one it was launched at
+ * @param {Object} tab - Launched tab
+ * @param {string} launchedUrl - URL the tab was launched at
+ * @returns {boolean} True if the user has navigated elsewhere
+ */
+function hasNavigatedAway(tab, launchedUrl) {
+  return !matchesSiteUrl(tab.url, { url: launchedUrl }, 'path');
+}
+
+/**
+ * Check whether a site's tab starts unloaded
+ * Pinned tabs always load: Firefox can't create a tab both pinned and discarded
+ * @param {Object} site - Site object
+ * @returns {boolean}
+ */
+function isLazyLoaded(site) {
+  return site.lazyLoad === true && !site.pinned;
+}
+
+/**
+ * Launch a single site
+ * @param {Object} site - Site object with url and automationScript
+ * @param {Function} [getWindowId] - Resolves the window to open a new tab in (defaults to the current window)
+ * @param {Object|null} [reuse] - Duplicate policy for sites that are already open
+ * @returns {Promise<Object>} Created or reused tab; rejects if the tab couldn't be opened
+ */
+async function launchSite(site, getWindowId, reuse) {
+  if (reuse) {
+    const openTab = await findOpenTab(site, reuse);
+    if (openTab) {
+      return await reuseTab(openTab, site, reuse);
+    }
+  }
+
+  const createProperties = {
+    url: site.url,
+    active: false,
+    windowId: getWindowId ? await getWindowId() : undefined
+  };
+
+  if (site.pinned) {
+    createProperties.pinned = true;
+  }
+  if (Number.isInteger(site.tabIndex)) {
+    createProperties.index = site.tabIndex;
+  }
+
+  // Create new tab
+  let tab = await browser.tabs.create(createProperties);
+
+  if (site.muted) {
+    await browser.tabs.update(tab.id, { muted: true });
+  }
+
+  // Chrome can't create discarded tabs, so unload it straight away (its ID may change)
+  if (isLazyLoaded(site)) {
+    tab = (await chrome.tabs.discard(tab.id)) || tab;
+  }
+
+  // If site has automation stages, inject them as matching pages load
+  await trackAutomation(tab.id, site);
+
+  return tab;
+}
+
+/**
+ * Find an open tab showing a site that hasn't been claimed by this launch yet
+ * @param {Object} site - Site object
+ * @param {Object} reuse - Duplicate policy with match mode and claimed tab IDs
+ * @returns {Promise<Object|undefined>} Matching tab
+ */
+async function findOpenTab(site, reuse) {
+  const tabs = await browser.tabs.query({});
+  return tabs.find(tab => {
+    if (reuse.claimedTabIds.has(tab.id)) {
+      return false;
+    }
+    return matchesSiteUrl(tab.url, site, reuse.match);
+  });
+}
+
+/**
+ * Check whether a tab's URL counts as the same site
+ * @param {string} tabUrl - URL open in the tab
+ * @param {Object} site - Site object with url and optional matchPattern
+ * @param {string} match - 'exact', 'path' (origin and path, ignoring query) or 'pattern'
+ * @returns {boolean} True if the tab shows the site
+ */
+function matchesSiteUrl(tabUrl, site, match) {
+  if (!tabUrl) {
+    return false;
+  }
+
+  if (match === 'pattern' && site.matchPattern) {
+    return matchesUrlPattern(tabUrl, site.matchPattern);
+  }
+
+  try {
+    const tabLocation = new URL(tabUrl);
+    const siteLocation = new URL(site.url);
+
+    if (match === 'exact') {
+      return tabLocation.href === siteLocation.href;
+    }
+
+    const stripSlash = pathname => pathname.replace(/\/+$/, '');
+    return tabLocation.origin === siteLocation.origin &&
+      stripSlash(tabLocation.pathname) === stripSlash(siteLocation.pathname);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Switch to or reload an already-open tab instead of opening a duplicate
+ * @param {Object} tab - Open tab showing the site
+ * @param {Object} site - Site object
+ * @param {Object} reuse - Duplicate policy
+ * @returns {Promise<Object>} The reused tab
+ */
+async function reuseTab(tab, site, reuse) {
+  debug.log('Reusing open tab for:', site.name);
+  reuse.claimedTabIds.add(tab.id);
+
+  if (reuse.policy === 'reload') {
+    if (reuse.rerunAutomation) {
+      await trackAutomation(tab.id, site);
+    }
+    await browser.tabs.reload(tab.id);
+    return tab;
+  }
+
+  await browser.tabs.update(tab.id, { active: true });
+
+  // The page is already loaded, so start its automation straight away
+  if (reuse.rerunAutomation && await trackAutomation(tab.id, site) && tab.status === 'complete') {
+    runNextAutomationStage(tab);
+  }
+  return tab;
+}
+
+/**
+ * Start tracking a tab for the site's automation stages
+ * @param {number} tabId - Tab ID
+ * @param {Object} site - Site object
+ * @returns {Promise<boolean>} True if the site has automation to run
+ */
+async function trackAutomation(tabId, site) {
+  const stages = getAutomationStages(site);
+  if (stages.length === 0) {
+    return false;
+  }
+
+  automationResults.delete(tabId);
+  const timeout = site.automationTimeout || DEFAULT_AUTOMATION_TIMEOUT;
+  await setPendingAutomation(tabId, {
+    siteId: site.id,
+    url: site.url,
+    name: site.name,
+    stages,
+    trackedAt: Date.now(),
+    deadline: Date.now() + timeout * 1000
+  });
+
+  // Expire tabs that stay on a page no stage matches; page loads only check the deadline as they happen.
+  // Like autostart, deadlines shorter than MIN_ALARM_DELAY also use a timer
+  await chrome.alarms.create(AUTOMATION_DEADLINE_ALARM_PREFIX + tabId, { when: Date.now() + timeout * 1000 });
+  if (timeout * 1000 < MIN_ALARM_DELAY) {
+    setTimeout(() => checkAutomationDeadline(tabId), timeout * 1000);
+  }
+  return true;
+}
+
+/**
+ * Expire a tab's automation if its deadline has passed with stages still pending
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+async function checkAutomationDeadline(tabId) {
+  const automationData = await getPendingAutomation(tabId);
+  if (automationData && Date.now() >= automationData.deadline) {
+    expireAutomation(tabId, automationData);
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(AUTOMATION_DEADLINE_ALARM_PREFIX)) {
+    checkAutomationDeadline(Number(alarm.name.slice(AUTOMATION_DEADLINE_ALARM_PREFIX.length)));
+  }
+});
+
+/**
+ * Build the ordered list of automation stages for a site
+ * The main automation script is a stage without a URL pattern (runs on the first page)
+ * @param {Object} site - Site object with automationScript and automationStages
+ * @returns {Array<Object>} Stages as { urlPattern, script }
+ */
+function getAutomationStages(site) {
+  const stages = [];
+
+  if (site.automationScript && site.automationScript.trim()) {
+    stages.push({ urlPattern: '', script: site.automationScript });
+  }
+
+  (site.automationStages || []).forEach(stage => {
+    if (stage.script && stage.script.trim()) {
+      stages.push({ urlPattern: stage.urlPattern || '', script: stage.script });
+    }
+  });
+
+  return stages;
+}
+
+/**
+ * Check a URL against a stage pattern
+ * Patterns match anywhere in the URL; `*` matches any characters. An empty pattern matches every URL.
+ * @param {string} url - URL to test
+ * @param {string} pattern - e.g. "login.microsoftonline.com" or "app.example.com/dashboard*"
+ * @returns {boolean}
+ */
+function matchesUrlPattern(url, pattern) {
+  if (!pattern) return true;
+  if (!url) return false;
+
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(source, 'i').test(url);
+}
+
+/**
+ * Remember a tab's pending automation stages across page loads
+ * @param {number} tabId - Tab ID
+ * @param {Object} automationData - { siteId, url, name, stages, trackedAt, deadline }
+ * @returns {Promise<void>}
+ */
+async function setPendingAutomation(tabId, automationData) {
+  await chrome.storage.session.set({ [AUTOMATING_TAB_PREFIX + tabId]: automationData });
+}
+
+/**
+ * Get a tab's pending automation stages
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object|null>} Automation data or null if the tab isn't tracked
+ */
+async function getPendingAutomation(tabId) {
+  const key = AUTOMATING_TAB_PREFIX + tabId;
+  const result = await chrome.storage.session.get(key);
+  return result[key] || null;
+}
+
+/**
+ * Stop tracking a tab's automation
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+async function clearPendingAutomation(tabId) {
+  await chrome.storage.session.remove(AUTOMATING_TAB_PREFIX + tabId);
+  await chrome.alarms.clear(AUTOMATION_DEADLINE_ALARM_PREFIX + tabId);
+}
+
+/**
+ * Take the pending stage that matches a tab's page, so it only runs once
+ * Claims for a tab run one at a time: two page loads in quick succession (a client-side
+ * redirect, a frame reload) would otherwise both read the stage before either removed it
+ * @param {Object} tab - Tab that finished loading
+ * @returns {Promise<Object|null>} { automationData, stage }, or null if no stage should run
+ */
+function claimAutomationStage(tab) {
+  const claim = (stageClaims.get(tab.id) || Promise.resolve()).then(async () => {
+    // Only proceed if we're tracking this tab
+    const automationData = await getPendingAutomation(tab.id);
+    if (!automationData) {
+      return null;
+    }
+
+    if (Date.now() > automationData.deadline) {
+      expireAutomation(tab.id, automationData);
+      return null;
+    }
+
+    // Pages the automation moves through still count as where the site was launched
+    await updateLaunchSessionUrl(tab);
+
+    // Wait for a later navigation if no pending stage matches this page
+    const stageIndex = automationData.stages.findIndex(stage => matchesUrlPattern(tab.url, stage.urlPattern));
+    if (stageIndex === -1) {
+      return null;
+    }
+
+    // Each stage runs once; stop tracking after the last one
+    const [stage] = automationData.stages.splice(stageIndex, 1);
+    if (automationData.stages.length === 0) {
+      await clearPendingAutomation(tab.id);
+    } else {
+      await setPendingAutomation(tab.id, automationData);
+    }
+    return { automationData, stage };
+  });
+
+  stageClaims.set(tab.id, claim.catch(() => {}));
+  return claim;
+}
+
+/**
+ * Stop tracking a tab's remaining stages after one of them failed
+ * Queued behind any claim in flight, which would otherwise store the stages again
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+function dropAutomationStages(tabId) {
+  const drop = (stageClaims.get(tabId) || Promise.resolve()).then(() => clearPendingAutomation(tabId));
+
+  stageClaims.set(tabId, drop.catch(() => {}));
+  return drop;
+}
+
+/**
+ * Stop tracking a tab whose automation deadline passed
+ * @param {number} tabId - Tab ID
+ * @param {Object} automationData - Tracked automation data
+ */
+function expireAutomation(tabId, automationData) {
+  automationResults.set(tabId, 'expired');
+  clearPendingAutomation(tabId);
+
+  const count = automationData.stages.length;
+  debug.warn(`Automation deadline expired for ${automationData.name} with ${count} stage(s) pending`);
+  recordRun(
+    { siteId: automationData.siteId, siteName: automationData.name, url: automationData.url, startedAt: automationData.trackedAt },
+    { outcome: 'expired', error: `${count} stage${count !== 1 ? 's' : ''} never reached a matching page` }
+  ).catch(error => debug.error('Error recording run:', error));
+  browser.notifications.create({
+    type: 'basic',
+    iconUrl: browser.runtime.getURL('icons/icon-128.png'),
+    title: 'Automation Error',
+    message: `Automation for ${automationData.name} stopped: ${count} stage${count !== 1 ? 's' : ''} never reached a matching page`
+  });
+}
+
+/**
+ * Listen for tab updates to inject automation scripts
+ * Tabs stay tracked across navigations until every stage has run or the deadline expires
+ */
+browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // Only proceed once the page has loaded
+  if (changeInfo.status === 'complete') {
+    runNextAutomationStage(tab);
   }
 });
 
 /**
- * Launch autostart group when Firefox starts
+ * Inject the next pending automation stage that matches a loaded tab's page
+ * @param {Object} tab - Tab that finished loading
  */
-browser.runtime.onStartup.addListener(async () => {
-  debug.log('Firefox started - checking for autostart group');
+async function runNextAutomationStage(tab) {
+  const tabId = tab.id;
+
+  // Lazy-loaded tabs run their automation once clicked
+  if (tab.discarded) {
+    return;
+  }
+
+  const claimed = await claimAutomationStage(tab);
+  if (!claimed) {
+    return;
+  }
+  const { automationData, stage } = claimed;
+
+  const run = {
+    id: generateId(),
+    siteId: automationData.siteId,
+    siteName: automationData.name,
+    url: tab.url,
+    startedAt: Date.now()
+  };
 
   try {
-    const [groups, settings] = await Promise.all([
-      getGroups(),
-      getSettings()
-    ]);
-    const autostartGroup = groups.find(g => g.autostart === true);
+    debug.log('Injecting automation script for:', automationData.name, 'on', tab.url);
 
-    if (autostartGroup && autostartGroup.sites.length > 0) {
-      const delay = (settings.autostartDelay || 10) * 1000; // Convert seconds to milliseconds
-      debug.log(`Launching autostart group "${autostartGroup.name}" in ${delay/1000} seconds`);
+    runningAutomationTabs.set(tabId, run.id);
+    const settings = await getSettings();
+    const result = await runAutomationScript(tabId, {
+      name: automationData.name,
+      script: stage.script,
+      runId: run.id,
+      highlightFailure: settings.screenshotOnFailure === true
+    }).finally(() => runningAutomationTabs.delete(tabId));
 
-      setTimeout(() => {
-        launchGroup(autostartGroup.id);
-      }, delay);
+    if (result && result.success) {
+      recordRun(run, { outcome: 'success', logs: result.logs })
+        .catch(error => debug.error('Error recording run:', error));
+      await handleAutomationComplete(tabId);
+    } else {
+      const error = result ? result.error : `Automation failed for ${automationData.name}: no result returned`;
+      const screenshot = await captureFailureScreenshot(tabId);
+      recordRun(run, { outcome: 'error', error, logs: result && result.logs, screenshot })
+        .catch(error => debug.error('Error recording run:', error));
+      await handleAutomationError(tabId, error, screenshot ? run.id : null);
     }
+
   } catch (error) {
-    debug.error('Error launching autostart group:', error);
+    debug.error('Error injecting automation script:', error);
+    await dropAutomationStages(tabId);
+    automationResults.set(tabId, 'error');
+    recordAutomationFailure(tabId, error.message);
+    recordRun(run, { outcome: 'error', error: error.message })
+      .catch(error => debug.error('Error recording run:', error));
+
+    // Show error notification
+    browser.notifications.create({
+      type: 'basic',
+      iconUrl: browser.runtime.getURL('icons/icon-128.png'),
+      title: 'Automation Error',
+      message: `Failed to run automation for ${automationData.name}: ${error.message}`
+    });
   }
+}
+
+/**
+ * Stop tracking tabs closed before their automation finished
+ */
+browser.tabs.onRemoved.addListener(async (tabId) => {
+  automationResults.delete(tabId);
+  stageClaims.delete(tabId);
+  await clearPendingAutomation(tabId);
+  await removeFromLaunchSessions(tabId);
 });
 
 /**
- * Launch a group of sites
- * @param {string} groupId - ID of the group to launch
+ * Check whether a tab still has automation waiting for a page or running
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<boolean>}
+ */
+async function isAutomationPending(tabId) {
+  return runningAutomationTabs.has(tabId) || (await getPendingAutomation(tabId)) !== null;
+}
+
+/**
+ * Check whether the userScripts API can be used
+ * Needs Chrome 135+ and "Allow User Scripts" enabled for the extension
+ * @returns {boolean}
  */
-async function launchGroup(groupId) {
+function isUserScriptsAvailable() {
   try {
-    const groups = await getGroups();
-    const group = groups.find(g => g.id === groupId);
+    // Throws while user scripts are not allowed
+    chrome.userScripts.getScripts();
+    return typeof chrome.userScripts.execute === 'function';
+  } catch {
+    return false;
+  }
+}
 
-    if (!group) {
-      debug.error('Group not found:', groupId);
-      return;
-    }
+/**
+ * Wrap an automation script so it runs with the content.js helpers in scope
+ * The runtime is built once per document and kept in LinkStart's USER_SCRIPT world
+ * @param {string} script - Automation script source
+ * @param {string} siteName - Site name used in messages
+ * @param {string} runId - Run the script's output is logged under
+ * @param {boolean} highlightFailure - Highlight the element the script fails on
+ * @returns {string} Source whose completion value is the automation result
+ */
+function buildAutomationSource(script, siteName, runId, highlightFailure) {
+  return `globalThis.__linkStartAutomation ??= createAutomationRuntime(debug);
+globalThis.__linkStartAutomation.executeAutomation(async ({ ${AUTOMATION_HELPERS.join(', ')} }) => {
+${script}
+}, ${JSON.stringify(siteName)}, ${JSON.stringify(runId)}, ${highlightFailure === true});`;
+}
 
-    debug.log('Launching group:', group.name);
+// Source of content.js, fetched once for the MAIN world fallback
+let automationRuntimeSource = null;
 
-    // Filter enabled sites
-    const sites = group.sites.filter(site => site.enabled !== false);
+/**
+ * Get the source of the automation runtime
+ * @returns {Promise<string>} content.js source
+ */
+async function getAutomationRuntimeSource() {
+  if (automationRuntimeSource === null) {
+    const response = await fetch(chrome.runtime.getURL('content.js'));
+    automationRuntimeSource = await response.text();
+  }
+  return automationRuntimeSource;
+}
 
-    if (sites.length === 0) {
-      browser.notifications.create({
-        type: 'basic',
-        iconUrl: browser.runtime.getURL('icons/icon.svg'),
-        title: 'LinkStart',
-        message: 'No sites to launch in this group'
-      });
-      return;
-    }
+/**
+ * Build the runtime, then compile and run an automation script in the MAIN world
+ * Serialized by chrome.scripting, so it must not reference anything outside itself.
+ * The runtime lives in this call's closure rather than on a page global.
+ * @param {string} runtimeSource - content.js source
+ * @param {string} script - Automation script source
+ * @param {string} siteName - Site name used in messages
+ * @param {Array<string>} helperNames - Helper functions to expose to the script
+ * @param {string} runId - Run the script's output is logged under
+ * @param {boolean} highlightFailure - Highlight the element the script fails on
+ * @returns {Promise<Object>} Automation result
+ */
+function runInMainWorld(runtimeSource, script, siteName, helperNames, runId, highlightFailure) {
+  try {
+    const createAutomationRuntime = new Function(`${runtimeSource}\nreturn createAutomationRuntime;`)();
+    // config.js isn't injected here, and the page's own `debug` can't be trusted
+    const runtime = createAutomationRuntime({ log: () => {}, error: () => {} });
 
-    // Launch each site with a small delay
-    for (let i = 0; i < sites.length; i++) {
-      const site = sites[i];
+    const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
+    const automationFunc = new AsyncFunction(`{ ${helperNames.join(', ')} }`, script);
+    return runtime.executeAutomation(automationFunc, siteName, runId, highlightFailure);
+  } catch (error) {
+    // EvalError when the page's CSP blocks 'unsafe-eval'
+    return { success: false, error: `Automation failed for ${siteName}: ${error.message}` };
+  }
+}
 
-      // Add delay between tab opens to avoid overwhelming the browser
-      if (i > 0) {
-        await new Promise(resolve => setTimeout(resolve, 200));
-      }
+/**
+ * Run an automation script in a tab without eval in the extension
+ * Uses the userScripts API when allowed, where the page can't reach the script.
+ * Otherwise falls back to the page's MAIN world, where it can.
+ * @param {number} tabId - Tab to automate
+ * @param {Object} automationData - { script, name, runId, highlightFailure }
+ * @returns {Promise<Object>} { success: true, logs } or { success: false, error, logs }
+ */
+async function runAutomationScript(tabId, automationData) {
+  const target = { tabId };
 
-      launchSite(site);
-    }
+  // Styles for the failure highlight; chrome.scripting can't inject into the USER_SCRIPT
+  // world, so the helpers go in with the script, but CSS applies to the page either way
+  if (automationData.highlightFailure === true) {
+    await chrome.scripting.insertCSS({ target, files: ['automation.css'] });
+  }
 
-    // Show success notification
-    browser.notifications.create({
-      type: 'basic',
-      iconUrl: browser.runtime.getURL('icons/icon.svg'),
-      title: 'LinkStart',
-      message: `Launched ${sites.length} site${sites.length !== 1 ? 's' : ''} from "${group.name}"`
-    });
+  if (isUserScriptsAvailable()) {
+    await chrome.userScripts.configureWorld({ worldId: USER_SCRIPT_WORLD_ID, messaging: true });
 
-  } catch (error) {
-    debug.error('Error launching group:', error);
-    browser.notifications.create({
-      type: 'basic',
-      iconUrl: browser.runtime.getURL('icons/icon.svg'),
-      title: 'LinkStart Error',
-      message: 'Failed to launch group: ' + error.message
+    const [injection] = await chrome.userScripts.execute({
+      target,
+      world: 'USER_SCRIPT',
+      worldId: USER_SCRIPT_WORLD_ID,
+      js: [
+        { file: 'config.js' },
+        { file: 'content.js' },
+        { code: buildAutomationSource(automationData.script, automationData.name, automationData.runId, automationData.highlightFailure) }
+      ]
     });
+    return injection && injection.result;
   }
+
+  debug.warn('userScripts API unavailable - running automation in the MAIN world');
+
+  const [injection] = await chrome.scripting.executeScript({
+    target,
+    world: 'MAIN',
+    func: runInMainWorld,
+    args: [
+      await getAutomationRuntimeSource(),
+      automationData.script,
+      automationData.name,
+      AUTOMATION_HELPERS,
+      automationData.runId,
+      automationData.highlightFailure === true
+    ]
+  });
+  return injection && injection.result;
 }
 
 /**
- * Launch a single site
- * @param {Object} site - Site object with url and automationScript
+ * Automation script completed successfully
+ * @param {number} tabId - Automated tab
+ */
+async function handleAutomationComplete(tabId) {
+  debug.log('Automation completed for tab:', tabId);
+
+  // Only the last stage finishing completes the site's automation
+  if ((await getPendingAutomation(tabId)) === null) {
+    automationResults.set(tabId, 'complete');
+  }
+}
+
+/**
+ * Automation script failed
+ * The site's remaining stages are dropped, so a later one finishing can't mark it complete
+ * @param {number} tabId - Automated tab
+ * @param {string} error - Error message
+ * @param {string|null} [screenshotRunId] - Run whose failure screenshot was taken
+ */
+async function handleAutomationError(tabId, error, screenshotRunId = null) {
+  debug.error('Automation error:', error);
+  await dropAutomationStages(tabId);
+  automationResults.set(tabId, 'error');
+  recordAutomationFailure(tabId, error);
+  notifyAutomationError(error, screenshotRunId);
+}
+
+/**
+ * Pick out the web pages among tabs, skipping browser pages and repeated addresses
+ * @param {Object[]} tabs - Tabs in order
+ * @returns {Object[]} Pages as { tabId, title, url } in the same order
+ */
+function getWebPages(tabs) {
+  const pages = [];
+
+  for (const tab of tabs) {
+    const address = getPageAddress(tab.url);
+    if (address && !pages.some(page => page.url === address)) {
+      pages.push({ tabId: tab.id, title: tab.title || new URL(address).hostname, url: address });
+    }
+  }
+  return pages;
+}
+
+/**
+ * Normalize a web page address
+ * @param {string} url - Tab or library URL
+ * @returns {string|null} Normalized address, or null if it isn't an http(s) page
  */
-async function launchSite(site) {
+function getPageAddress(url) {
   try {
-    // Create new tab
-    const tab = await browser.tabs.create({
-      url: site.url,
-      active: false
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Find or create URL library entries for pages, reusing entries with the same address
+ * @param {Object[]} pages - Pages as { title, url }
+ * @returns {Promise<{entries: Object[], added: number}>} One entry per page, and how many were created
+ */
+async function getUrlEntriesForPages(pages) {
+  const urlsData = await browser.storage.local.get('urls');
+  const urls = urlsData.urls || [];
+  let added = 0;
+
+  const entries = pages.map(page => {
+    const existing = urls.find(u => getPageAddress(u.url) === page.url);
+    if (existing) return existing;
+
+    const entry = {
+      id: generateId(),
+      name: page.title,
+      url: page.url,
+      automationScript: ''
+    };
+    urls.push(entry);
+    added++;
+    return entry;
+  });
+
+  if (added > 0) {
+    await browser.storage.local.set({ urls });
+  }
+  return { entries, added };
+}
+
+/**
+ * Create a group site from a URL library entry
+ * @param {Object} entry - URL library entry
+ * @returns {Object} Site object
+ */
+function createSiteFromUrlEntry(entry) {
+  return {
+    id: generateId(),
+    urlId: entry.id,
+    name: entry.name,
+    url: entry.url,
+    automationScript: entry.automationScript || '',
+    automationStages: entry.automationStages || [],
+    automationTimeout: entry.automationTimeout,
+    enabled: true
+  };
+}
+
+/**
+ * Save the tabs of a window as a new group
+ * Tabs become URL library entries, reusing any entry that already has the same address,
+ * and the new group gets one site per tab in tab order
+ * @param {Object} options
+ * @param {number} options.windowId - Window to save
+ * @param {boolean} [options.selectedOnly] - Only save the highlighted tabs
+ * @param {string} [options.name] - Group name, defaults to one based on the current time
+ * @returns {Promise<{group: Object, added: number}>} The new group and how many library entries were created
+ */
+async function saveWindowAsGroup({ windowId, selectedOnly = false, name }) {
+  const query = { windowId };
+  if (selectedOnly) {
+    query.highlighted = true;
+  }
+
+  const tabs = await browser.tabs.query(query);
+  const pages = getWebPages(tabs.sort((a, b) => a.index - b.index));
+
+  if (pages.length === 0) {
+    throw new Error('There are no web pages in this window to save');
+  }
+
+  const { entries, added } = await getUrlEntriesForPages(pages);
+  const group = await addGroup(name || `Saved window (${new Date().toLocaleString()})`);
+  const sites = entries.map(createSiteFromUrlEntry);
+  const savedGroup = await updateGroup(group.id, { sites });
+
+  browser.notifications.create({
+    type: 'basic',
+    iconUrl: browser.runtime.getURL('icons/icon-128.png'),
+    title: 'LinkStart',
+    message: `Saved ${sites.length} tab(s) as "${savedGroup.name}"`
+  });
+
+  return { group: savedGroup, added };
+}
+
+/**
+ * Build the context menus: launching groups and saving windows from the toolbar button,
+ * and adding pages and links to groups
+ */
+async function createContextMenus() {
+  await browser.contextMenus.removeAll();
+  const groups = await getGroups();
+
+  // One submenu per action, with an item for each group
+  CONTEXT_MENU_ACTIONS.forEach(action => {
+    browser.contextMenus.create({
+      id: action.id,
+      title: action.title,
+      contexts: action.contexts
+    });
+
+    groups.forEach(group => {
+      browser.contextMenus.create({
+        id: `${action.id}:${group.id}`,
+        parentId: action.id,
+        title: group.name,
+        contexts: action.contexts
+      });
     });
 
-    // If site has automation script, inject it when page loads
-    if (site.automationScript && site.automationScript.trim()) {
-      automatingTabs.set(tab.id, {
-        script: site.automationScript,
-        url: site.url,
-        name: site.name
+    if (groups.length === 0) {
+      browser.contextMenus.create({
+        id: `${action.id}:none`,
+        parentId: action.id,
+        title: 'No groups yet',
+        enabled: false,
+        contexts: action.contexts
       });
     }
+  });
 
-  } catch (error) {
-    debug.error('Error launching site:', site.url, error);
+  browser.contextMenus.create({
+    id: 'saveWindowAsGroup',
+    title: 'Save window as LinkStart group',
+    contexts: ['action']
+  });
+
+  browser.contextMenus.create({
+    id: 'saveSelectedAsGroup',
+    title: 'Save selected tabs as LinkStart group',
+    contexts: ['action']
+  });
+}
+
+/**
+ * Rebuild the context menus, one rebuild at a time so overlapping ones don't clash over item IDs
+ * @returns {Promise<void>}
+ */
+function refreshContextMenus() {
+  contextMenusBuilt = contextMenusBuilt.then(createContextMenus).catch(error => {
+    debug.error('Error building context menus:', error);
+  });
+  return contextMenusBuilt;
+}
+
+/**
+ * Add a page to a group as a new site, creating its URL library entry if needed
+ * @param {string} groupId - Group ID
+ * @param {Object|undefined} page - Page as { title, url }
+ * @returns {Promise<string>} Message describing what happened
+ */
+async function addPageToGroup(groupId, page) {
+  if (!page) {
+    return 'Only web pages can be added to a group';
+  }
+
+  const { entries: [entry] } = await getUrlEntriesForPages([page]);
+  const groups = await getGroups();
+  const group = groups.find(g => g.id === groupId);
+  if (!group) {
+    return 'That group no longer exists';
   }
+
+  if (group.sites.some(site => site.urlId === entry.id)) {
+    return `${entry.name} is already in ${group.name}`;
+  }
+
+  group.sites.push(createSiteFromUrlEntry(entry));
+  await saveGroups(groups);
+  return `Added ${entry.name} to ${group.name}`;
 }
 
 /**
- * Listen for tab updates to inject automation scripts
+ * Split address bar input into the add subcommand and the text to match
+ * @param {string} text - Text typed after the keyword
+ * @returns {{add: boolean, query: string}}
  */
-browser.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  // Only proceed if we're tracking this tab and page has loaded
-  if (!automatingTabs.has(tabId) || changeInfo.status !== 'complete') {
-    return;
+function parseOmniboxInput(text) {
+  const match = text.trim().match(/^add(?:\s+(.*))?$/i);
+  return match ? { add: true, query: (match[1] || '').trim() } : { add: false, query: text.trim() };
+}
+
+/**
+ * Find the group an address bar query names: an exact name first, then the first partial match
+ * @param {Array} groups - Groups
+ * @param {string} query - Text to match
+ * @returns {Object|undefined} Group
+ */
+function findGroupByName(groups, query) {
+  const needle = query.toLowerCase();
+  if (!needle) return undefined;
+
+  return groups.find(g => g.name.toLowerCase() === needle) ||
+    groups.find(g => g.name.toLowerCase().includes(needle));
+}
+
+/**
+ * Suggest groups and URL library entries for address bar input
+ * @param {string} text - Text typed after the keyword
+ * @returns {Promise<Array<{content: string, description: string}>>}
+ */
+async function getOmniboxSuggestions(text) {
+  const { add, query } = parseOmniboxInput(text);
+  const needle = query.toLowerCase();
+  const groups = await getGroups();
+
+  const suggestions = groups.filter(g => g.name.toLowerCase().includes(needle)).map(group => {
+    const count = group.sites.filter(site => site.enabled !== false).length;
+    return {
+      content: add ? `add ${group.name}` : group.name,
+      description: escapeOmniboxText(add ? `Add this tab to ${group.name}` : `Launch ${group.name} (${count} site${count !== 1 ? 's' : ''})`)
+    };
+  });
+
+  // Library entries only make sense for opening, not as a group to add to
+  if (!add && needle) {
+    const urlsData = await browser.storage.local.get('urls');
+    (urlsData.urls || [])
+      .filter(entry => entry.name.toLowerCase().includes(needle) || entry.url.toLowerCase().includes(needle))
+      .forEach(entry => {
+        suggestions.push({
+          content: entry.url,
+          description: escapeOmniboxText(`Open ${entry.name} - ${entry.url}`)
+        });
+      });
+  }
+
+  return suggestions.slice(0, OMNIBOX_MAX_SUGGESTIONS);
+}
+
+/**
+ * Add the active tab to a group as a new site
+ * @param {Object|undefined} group - Group named in the address bar
+ * @returns {Promise<string>} Message describing what happened
+ */
+async function addCurrentTabToGroup(group) {
+  if (!group) {
+    return 'Type "add" and the name of the group to add this tab to';
+  }
+
+  const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+  return addPageToGroup(group.id, getWebPages(tab ? [tab] : [])[0]);
+}
+
+/**
+ * Run what was picked in the address bar
+ * Alt+Enter and other modifiers (any disposition but the current tab) open in a new window
+ * @param {string} text - Text or suggestion content after the keyword
+ * @param {string} disposition - 'currentTab', 'newForegroundTab' or 'newBackgroundTab'
+ */
+async function handleOmniboxInput(text, disposition) {
+  const { add, query } = parseOmniboxInput(text);
+  const groups = await getGroups();
+  const newWindow = disposition !== 'currentTab';
+  let message;
+
+  if (add) {
+    message = await addCurrentTabToGroup(findGroupByName(groups, query));
+  } else {
+    const group = findGroupByName(groups, query);
+    if (group) {
+      await launchGroup(group.id, { newWindow });
+      return;
+    }
+
+    // A URL library suggestion
+    const address = getPageAddress(query);
+    if (address) {
+      if (newWindow) {
+        await browser.windows.create({ url: address });
+      } else {
+        await browser.tabs.update({ url: address });
+      }
+      return;
+    }
+
+    message = `No LinkStart group matches "${query}"`;
   }
 
-  const automationData = automatingTabs.get(tabId);
-  automatingTabs.delete(tabId); // Remove from tracking
+  browser.notifications.create({
+    type: 'basic',
+    iconUrl: browser.runtime.getURL('icons/icon-128.png'),
+    title: 'LinkStart',
+    message
+  });
+}
+
+/**
+ * Escape text for an omnibox description, which Chrome parses as XML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeOmniboxText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+browser.omnibox.setDefaultSuggestion({
+  description: 'Launch a LinkStart group, or type "add" and a group name to add this tab to it'
+});
 
+browser.omnibox.onInputChanged.addListener(async (text, suggest) => {
   try {
-    debug.log('Injecting automation script for:', automationData.name);
+    suggest(await getOmniboxSuggestions(text));
+  } catch (error) {
+    debug.error('Error suggesting groups for address bar input:', error);
+  }
+});
 
-    // Inject config first, then content script
-    await browser.tabs.executeScript(tabId, {
-      file: 'config.js'
-    });
+browser.omnibox.onInputEntered.addListener((text, disposition) => {
+  handleOmniboxInput(text, disposition).catch(error => {
+    debug.error('Error handling address bar input:', error);
+  });
+});
 
-    await browser.tabs.executeScript(tabId, {
-      file: 'content.js'
-    });
+/**
+ * Handle keyboard shortcuts
+ * Shortcut slots are fixed in the manifest; groups pick a slot with their shortcut property
+ */
+browser.commands.onCommand.addListener(async (command) => {
+  debug.log('Command received:', command);
 
-    // Wait a moment for content script to initialize
-    await new Promise(resolve => setTimeout(resolve, 100));
+  if (command === 'close-last-group') {
+    await closeLastLaunchedGroup();
+    return;
+  }
 
-    // Send automation script to content script
-    await browser.tabs.sendMessage(tabId, {
-      action: 'executeAutomation',
-      script: automationData.script,
-      siteName: automationData.name
+  if (!command.startsWith('launch-group-')) return;
+
+  const groups = await getGroups();
+  const group = groups.find(g => g.shortcut === command);
+  if (!group) {
+    browser.notifications.create({
+      type: 'basic',
+      iconUrl: browser.runtime.getURL('icons/icon-128.png'),
+      title: 'LinkStart',
+      message: 'No group uses this shortcut yet. Pick one under Keyboard Shortcuts in the LinkStart settings.'
     });
+    return;
+  }
 
-  } catch (error) {
-    debug.error('Error injecting automation script:', error);
+  await launchGroup(group.id);
+});
+
+/**
+ * Handle context menu clicks
+ */
+browser.contextMenus.onClicked.addListener(async (info, tab) => {
+  const [action, groupId] = String(info.menuItemId).split(':');
+
+  try {
+    if (action === 'saveWindowAsGroup' || action === 'saveSelectedAsGroup') {
+      const windowId = tab ? tab.windowId : (await browser.windows.getCurrent()).id;
+      await saveWindowAsGroup({
+        windowId,
+        selectedOnly: action === 'saveSelectedAsGroup'
+      });
+      return;
+    }
+
+    if (action === 'launchGroup' && groupId) {
+      await launchGroup(groupId);
+      return;
+    }
+
+    let page;
+    if (action === 'addPageToGroup' && groupId) {
+      page = getWebPages(tab ? [tab] : [])[0];
+    } else if (action === 'addLinkToGroup' && groupId) {
+      const address = getPageAddress(info.linkUrl);
+      page = address ? { url: address, title: info.linkText || info.selectionText || new URL(address).hostname } : undefined;
+    } else {
+      return;
+    }
 
-    // Show error notification
     browser.notifications.create({
       type: 'basic',
-      iconUrl: browser.runtime.getURL('icons/icon.svg'),
-      title: 'Automation Error',
-      message: `Failed to run automation for ${automationData.name}: ${error.message}`
+      iconUrl: browser.runtime.getURL('icons/icon-128.png'),
+      title: 'LinkStart',
+      message: await addPageToGroup(groupId, page)
+    });
+  } catch (error) {
+    debug.error('Error handling context menu click:', error);
+    browser.notifications.create({
+      type: 'basic',
+      iconUrl: browser.runtime.getURL('icons/icon-128.png'),
+      title: 'LinkStart Error',
+      message: error.message
     });
   }
 });
@@ -191,9 +2761,54 @@ browser.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
 
   switch (message.action) {
     case 'launchGroup':
-      await launchGroup(message.groupId);
+      const results = await launchGroup(message.groupId);
+      return Promise.resolve({ success: true, results });
+
+    case 'getUpcomingLaunches':
+      const upcoming = await getUpcomingLaunches(message.limit || 10);
+      return Promise.resolve({ upcoming });
+
+    case 'closeGroup':
+      const closeSettings = await getSettings();
+      const closedCount = await closeGroup(message.groupId, closeSettings.spareNavigatedTabs === true);
+      return Promise.resolve({ closed: closedCount });
+
+    case 'saveWindowAsGroup':
+      try {
+        const saved = await saveWindowAsGroup(message);
+        return Promise.resolve({ success: true, ...saved });
+      } catch (error) {
+        return Promise.resolve({ success: false, error: error.message });
+      }
+
+    case 'getWindowDiff':
+      try {
+        const diff = await getWindowDiff(message.groupId);
+        return Promise.resolve({ success: true, diff });
+      } catch (error) {
+        return Promise.resolve({ success: false, error: error.message });
+      }
+
+    case 'applyWindowDiff':
+      try {
+        const syncedGroup = await applyWindowDiff(message.groupId, message.changes);
+        return Promise.resolve({ success: true, group: syncedGroup });
+      } catch (error) {
+        return Promise.resolve({ success: false, error: error.message });
+      }
+
+    case 'getRunLog':
+      const runLog = await getRunLog();
+      return Promise.resolve({ runLog });
+
+    case 'clearRunLog':
+      await clearRunLog();
       return Promise.resolve({ success: true });
 
+    case 'getLaunchSessions':
+      const sessions = await getLaunchSessionCounts();
+      return Promise.resolve({ sessions });
+
     case 'getGroups':
       const groups = await getGroups();
       return Promise.resolve({ groups });
@@ -242,22 +2857,6 @@ browser.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
       const siteDeleted = await deleteSite(message.groupId, message.siteId);
       return Promise.resolve({ success: siteDeleted });
 
-    case 'automationComplete':
-      // Automation script completed successfully
-      debug.log('Automation completed for tab:', sender.tab.id);
-      return Promise.resolve({ success: true });
-
-    case 'automationError':
-      // Automation script failed
-      debug.error('Automation error:', message.error);
-      browser.notifications.create({
-        type: 'basic',
-        iconUrl: browser.runtime.getURL('icons/icon.svg'),
-        title: 'Automation Error',
-        message: message.error
-      });
-      return Promise.resolve({ success: true });
-
     default:
       debug.warn('Unknown message action:', message.action);
       return Promise.resolve({ error: 'Unknown action' });
@@ -1,9 +1,18 @@
 /**
- * Content script for LinkStart
- * Executes automation scripts in the page context
+ * Automation runtime for LinkStart (Chrome)
+ * Runs in LinkStart's USER_SCRIPT world or, when user scripts are turned off, inside
+ * the function background.js injects into the page's MAIN world. MV3 forbids eval in
+ * extension contexts, so scripts are compiled in the page and handed these helpers.
  */
 
-(function() {
+/**
+ * Build the automation helpers and the function that runs a compiled script
+ * Declares nothing outside itself, so the MAIN world fallback can evaluate this file
+ * inside its injected function and keep the runtime off the page's globals
+ * @param {Object} logger - Console-like object with log() and error()
+ * @returns {Object} { helpers, executeAutomation }
+ */
+function createAutomationRuntime(logger) {
   'use strict';
 
   // Helper functions available to automation scripts
@@ -35,7 +44,7 @@
 
         const timeoutId = setTimeout(() => {
           observer.disconnect();
-          reject(new Error(`Timeout waiting for element: ${selector}`));
+          reject(elementError(`Timeout waiting for element: ${selector}`, selector));
         }, timeout);
       });
     },
@@ -46,7 +55,7 @@
     fillInput: async function(selector, value) {
       const element = await helpers.waitForElement(selector);
       if (!element) {
-        throw new Error(`Element not found: ${selector}`);
+        throw elementError(`Element not found: ${selector}`, selector);
       }
 
       element.focus();
@@ -62,7 +71,7 @@
     clickElement: async function(selector) {
       const element = await helpers.waitForElement(selector);
       if (!element) {
-        throw new Error(`Element not found: ${selector}`);
+        throw elementError(`Element not found: ${selector}`, selector);
       }
 
       element.click();
@@ -128,7 +137,7 @@
     selectOption: async function(selector, value) {
       const element = await helpers.waitForElement(selector);
       if (!element || element.tagName !== 'SELECT') {
-        throw new Error(`Select element not found: ${selector}`);
+        throw elementError(`Select element not found: ${selector}`, selector);
       }
 
       element.value = value;
@@ -141,7 +150,7 @@
     setChecked: async function(selector, checked = true) {
       const element = await helpers.waitForElement(selector);
       if (!element || (element.type !== 'checkbox' && element.type !== 'radio')) {
-        throw new Error(`Checkbox/radio element not found: ${selector}`);
+        throw elementError(`Checkbox/radio element not found: ${selector}`, selector);
       }
 
       if (element.checked !== checked) {
@@ -178,7 +187,7 @@
      * Log a message to console (for debugging)
      */
     log: function(...args) {
-      debug.log('[LinkStart Script]', ...args);
+      logger.log('[LinkStart Script]', ...args);
     },
 
     /**
@@ -217,124 +226,175 @@
     }
   };
 
+  // How long a failed script's element stays highlighted, in ms
+  const FAILURE_HIGHLIGHT_DURATION = 5000;
+
+  /**
+   * Error from a helper that couldn't find its element
+   * Carries the selector so the failure can be highlighted on the page
+   * @param {string} message - Error message
+   * @param {string} selector - Selector the helper was looking for
+   * @returns {Error}
+   */
+  function elementError(message, selector) {
+    const error = new Error(message);
+    error.selector = selector;
+    return error;
+  }
+
+  /**
+   * Mark the element a failed script was looking for, so a failure screenshot shows it
+   * When nothing matches, a banner names the selector instead
+   * @param {string} selector - Selector the script failed on
+   */
+  function highlightFailure(selector) {
+    let element = null;
+    try {
+      element = document.querySelector(selector);
+    } catch (error) {
+      // Invalid selector; fall back to the banner
+    }
+
+    // Styled by automation.css, which background.js inserts before the script runs
+    if (element) {
+      element.scrollIntoView({ block: 'center' });
+      element.classList.add('linkstart-failure-highlight');
+      setTimeout(() => element.classList.remove('linkstart-failure-highlight'), FAILURE_HIGHLIGHT_DURATION);
+      return;
+    }
+
+    const banner = document.createElement('div');
+    banner.className = 'linkstart-failure-banner';
+    banner.textContent = `LinkStart: element not found: ${selector}`;
+    document.documentElement.appendChild(banner);
+    setTimeout(() => banner.remove(), FAILURE_HIGHLIGHT_DURATION);
+  }
+
+  /**
+   * Turn log() arguments into one line for the run log
+   * @param {Array} args - Arguments passed to log()
+   * @returns {string} Log line
+   */
+  function formatLogArgs(args) {
+    return args.map(arg => {
+      if (typeof arg === 'string') return arg;
+      if (arg instanceof Error) return arg.message;
+
+      try {
+        const json = JSON.stringify(arg);
+        return json === undefined ? String(arg) : json;
+      } catch (error) {
+        // Circular structures
+        return String(arg);
+      }
+    }).join(' ');
+  }
+
   /**
-   * Execute automation script
+   * Give the script a console that also records what it writes
+   * @param {Function} record - Called with the level and arguments of each call
+   * @returns {Object} Console for the script
    */
-  async function executeAutomation(script, siteName) {
-    debug.log('[LinkStart] Executing automation script for:', siteName);
+  function createScriptConsole(record) {
+    // Methods other than these go straight to the page console
+    const scriptConsole = Object.create(console);
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+      scriptConsole[level] = (...args) => {
+        record(level, args);
+        console[level](...args);
+      };
+    });
+    return scriptConsole;
+  }
 
+  /**
+   * Send a message to the background, where the world allows it
+   * Only the userScripts world can message the extension; the MAIN world fallback can't
+   * @param {Object} message - Message to send
+   */
+  function sendToBackground(message) {
     try {
-      // Create async function with helper functions in scope
-      const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
-
-      // Build the function with helpers destructured
-      const {
-        waitForElement,
-        fillInput,
-        clickElement,
-        waitForNavigation,
-        sleep,
-        waitForElements,
-        elementExists,
-        getTextContent,
-        selectOption,
-        setChecked,
-        scrollToElement,
-        typeText,
-        log,
-        waitForDOMReady,
-        waitForPageLoad,
-        waitForNetworkIdle
-      } = helpers;
-
-      // Create and execute the automation function
-      const automationFunc = new AsyncFunction(
-        'waitForElement',
-        'fillInput',
-        'clickElement',
-        'waitForNavigation',
-        'sleep',
-        'waitForElements',
-        'elementExists',
-        'getTextContent',
-        'selectOption',
-        'setChecked',
-        'scrollToElement',
-        'typeText',
-        'log',
-        'waitForDOMReady',
-        'waitForPageLoad',
-        'waitForNetworkIdle',
-        script
-      );
+      if (typeof chrome !== 'undefined' && chrome.runtime && typeof chrome.runtime.sendMessage === 'function') {
+        chrome.runtime.sendMessage(message).catch(() => {});
+      }
+    } catch (error) {
+      // Not connected to the extension
+    }
+  }
+
+  /**
+   * Execute a compiled automation script
+   * @param {Function} automationFunc - Async function wrapping the user script
+   * @param {string} siteName - Site name used in messages
+   * @param {string} runId - Run the script's output is logged under
+   * @param {boolean} highlight - Highlight the element the script fails on
+   * @returns {Promise<Object>} { success: true, logs } or { success: false, error, logs }
+   */
+  async function executeAutomation(automationFunc, siteName, runId, highlight) {
+    logger.log('[LinkStart] Executing automation script for:', siteName);
+
+    // The script's log() and console output goes to the run log as well as the console
+    const logs = [];
+    const record = (level, args) => {
+      const entry = { time: Date.now(), level, message: formatLogArgs(args) };
+      logs.push(entry);
+
+      // Streamed so the popup can show it while the script runs
+      sendToBackground({ action: 'automationLog', runId, siteName, entry });
+    };
+    const scriptHelpers = {
+      ...helpers,
+      log: (...args) => {
+        record('log', args);
+        helpers.log(...args);
+      },
+      console: createScriptConsole(record)
+    };
 
+    try {
       // Execute with timeout
       const timeoutPromise = new Promise((_, reject) => {
         setTimeout(() => reject(new Error('Automation script timeout (30 seconds)')), 30000);
       });
 
       await Promise.race([
-        automationFunc(
-          waitForElement,
-          fillInput,
-          clickElement,
-          waitForNavigation,
-          sleep,
-          waitForElements,
-          elementExists,
-          getTextContent,
-          selectOption,
-          setChecked,
-          scrollToElement,
-          typeText,
-          log,
-          waitForDOMReady,
-          waitForPageLoad,
-          waitForNetworkIdle
-        ),
+        automationFunc(scriptHelpers),
         timeoutPromise
       ]);
 
-      debug.log('[LinkStart] Automation completed successfully');
+      logger.log('[LinkStart] Automation completed successfully');
 
-      // Notify background script of success
-      browser.runtime.sendMessage({
-        action: 'automationComplete',
-        siteName: siteName
-      });
+      return { success: true, logs };
 
     } catch (error) {
-      debug.error('[LinkStart] Automation error for', siteName);
-      debug.error('[LinkStart] Error details:', error);
-      debug.error('[LinkStart] Stack trace:', error.stack);
+      logger.error('[LinkStart] Automation error for', siteName);
+      logger.error('[LinkStart] Error details:', error);
+      logger.error('[LinkStart] Stack trace:', error.stack);
+
+      // Shown in the failure screenshot taken next
+      if (highlight && error.selector) {
+        highlightFailure(error.selector);
+      }
 
       // Provide more helpful error messages
       let errorMessage = error.message;
 
       if (error.message.includes('Timeout waiting for element')) {
-        errorMessage = `Element not found on ${siteName}. This may be caused by:\n- Firefox Primary Password not unlocked\n- Page structure changed\n- Network delay\n\nOriginal error: ${error.message}`;
+        errorMessage = `Element not found on ${siteName}. This may be caused by:\n- Password manager not unlocked\n- Page structure changed\n- Network delay\n\nOriginal error: ${error.message}`;
       } else if (error.message.includes('timeout')) {
-        errorMessage = `Script timeout for ${siteName}. Possible causes:\n- Firefox Primary Password locked\n- Page taking too long to load\n- Script waiting for non-existent element`;
+        errorMessage = `Script timeout for ${siteName}. Possible causes:\n- Password manager locked\n- Page taking too long to load\n- Script waiting for non-existent element`;
       }
 
-      // Notify background script of error
-      browser.runtime.sendMessage({
-        action: 'automationError',
+      return {
+        success: false,
         error: `Automation failed for ${siteName}: ${errorMessage}`,
-        siteName: siteName
-      });
+        logs
+      };
     }
   }
 
-  /**
-   * Listen for messages from background script
-   */
-  browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.action === 'executeAutomation') {
-      executeAutomation(message.script, message.siteName);
-      return true; // Keep message channel open for async response
-    }
-  });
-
-  debug.log('[LinkStart] Content script loaded');
-})();
+  return {
+    helpers,
+    executeAutomation
+  };
+}
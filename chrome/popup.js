@@ -5,6 +5,20 @@
 
 let groups = [];
 let settings = {};
+let launchSessions = {};
+let launchProgress = null;
+let showingProgress = false;
+// When this popup last asked for a launch; progress from before then belongs to an earlier launch
+let launchRequestedAt = 0;
+
+// How each site state shows in the launch progress view
+const PROGRESS_STATES = {
+  queued: { icon: '⏳', label: 'Queued' },
+  loading: { icon: '🔄', label: 'Loading' },
+  automating: { icon: '🤖', label: 'Running automation' },
+  done: { icon: '✅', label: 'Done' },
+  failed: { icon: '❌', label: 'Failed' }
+};
 
 /**
  * Initialize popup
@@ -12,15 +26,18 @@ let settings = {};
 async function init() {
   try {
     // Load groups and settings from background
-    const [groupsResponse, settingsResponse] = await Promise.all([
+    const [groupsResponse, settingsResponse, sessionsResponse] = await Promise.all([
       browser.runtime.sendMessage({ action: 'getGroups' }),
-      browser.runtime.sendMessage({ action: 'getSettings' })
+      browser.runtime.sendMessage({ action: 'getSettings' }),
+      browser.runtime.sendMessage({ action: 'getLaunchSessions' })
     ]);
 
     groups = groupsResponse.groups || [];
     settings = settingsResponse.settings || { mode: 'multi' };
+    launchSessions = sessionsResponse.sessions || {};
 
     renderGroups();
+    connectLaunchProgress();
   } catch (error) {
     debug.error('Error initializing popup:', error);
   }
@@ -107,39 +124,246 @@ function renderGroup(group) {
 
   groupElement.appendChild(header);
   groupElement.appendChild(launchBtn);
+
+  // Offer to close the tabs this group's launches left open
+  const openTabCount = launchSessions[group.id] || 0;
+  if (openTabCount > 0) {
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'close-group-btn';
+    closeBtn.textContent = `Close ${openTabCount} tab${openTabCount !== 1 ? 's' : ''}`;
+    closeBtn.addEventListener('click', () => closeGroup(group.id));
+    groupElement.appendChild(closeBtn);
+  }
+
   container.appendChild(groupElement);
 }
 
 /**
- * Launch a group
+ * Launch a group and follow its progress
  * @param {string} groupId - Group ID to launch
  */
 async function launchGroup(groupId) {
+  launchRequestedAt = Date.now();
+  showLaunchProgress();
+
   try {
-    // Disable all launch buttons
-    document.querySelectorAll('.launch-btn').forEach(btn => {
-      btn.disabled = true;
-      btn.textContent = 'Launching...';
+    // Resolves once the launch's tabs have loaded; progress streams in meanwhile
+    const launchResponse = await browser.runtime.sendMessage({
+      action: 'launchGroup',
+      groupId: groupId
     });
 
-    // Send message to background script to launch group
+    // Nothing was launched (the background shows why), so there's no progress to follow
+    if (!launchResponse.results || launchResponse.results.length === 0) {
+      hideLaunchProgress();
+    }
+
+    // The launch's tabs can now be closed from the groups view
+    const response = await browser.runtime.sendMessage({ action: 'getLaunchSessions' });
+    launchSessions = response.sessions || {};
+    renderGroups();
+
+  } catch (error) {
+    debug.error('Error launching group:', error);
+    alert('Failed to launch group: ' + error.message);
+  }
+}
+
+/**
+ * Follow launch progress from the background script
+ * It sends the most recent launch straight away, then every change to it
+ */
+function connectLaunchProgress() {
+  const port = browser.runtime.connect({ name: 'launchProgress' });
+
+  port.onMessage.addListener((message) => {
+    launchProgress = message.progress;
+    document.getElementById('lastLaunchBtn').style.display = launchProgress ? 'flex' : 'none';
+
+    if (showingProgress) {
+      renderLaunchProgress();
+    }
+  });
+}
+
+/**
+ * Switch to the launch progress view
+ */
+function showLaunchProgress() {
+  showingProgress = true;
+  document.getElementById('groupsView').style.display = 'none';
+  document.getElementById('progressView').style.display = 'block';
+  renderLaunchProgress();
+}
+
+/**
+ * Switch back to the groups view
+ */
+function hideLaunchProgress() {
+  showingProgress = false;
+  document.getElementById('progressView').style.display = 'none';
+  document.getElementById('groupsView').style.display = 'block';
+}
+
+/**
+ * Render each site's state in the most recent launch
+ */
+function renderLaunchProgress() {
+  const title = document.getElementById('progressTitle');
+  const summary = document.getElementById('progressSummary');
+  const list = document.getElementById('progressList');
+  list.innerHTML = '';
+
+  // Until the background starts the new launch, the progress is still the previous one's
+  if (!launchProgress || launchProgress.startedAt < launchRequestedAt) {
+    title.textContent = launchRequestedAt ? 'Starting launch...' : 'No launches yet';
+    summary.textContent = '';
+    return;
+  }
+
+  const sites = launchProgress.sites;
+  const done = sites.filter(site => site.state === 'done').length;
+  const failed = sites.filter(site => site.state === 'failed').length;
+  const startedAt = new Date(launchProgress.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+  title.textContent = launchProgress.groupName;
+  summary.textContent = done + failed < sites.length
+    ? `${done + failed} of ${sites.length} sites finished`
+    : `${done} done, ${failed} failed · launched at ${startedAt}`;
+
+  sites.forEach(site => {
+    const state = PROGRESS_STATES[site.state] || PROGRESS_STATES.queued;
+
+    const item = document.createElement('div');
+    item.className = `progress-site ${site.state}`;
+
+    const icon = document.createElement('span');
+    icon.className = 'progress-icon';
+    icon.textContent = state.icon;
+    icon.title = state.label;
+
+    const info = document.createElement('div');
+    info.className = 'progress-info';
+
+    const name = document.createElement('div');
+    name.className = 'progress-name';
+    name.textContent = site.name;
+    name.title = site.url;
+
+    const detail = document.createElement('div');
+    detail.className = 'progress-detail';
+    detail.textContent = site.state === 'failed'
+      ? (site.error || state.label)
+      : (site.detail || state.label);
+
+    info.appendChild(name);
+    info.appendChild(detail);
+
+    // What the site's script has logged so far, newest last
+    if (site.logs && site.logs.length > 0) {
+      const logs = document.createElement('pre');
+      logs.className = 'progress-logs';
+      logs.textContent = site.logs.map(formatLogEntry).join('\n');
+      info.appendChild(logs);
+    }
+
+    item.appendChild(icon);
+    item.appendChild(info);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Format a line an automation script logged
+ * @param {Object} entry - { time, level, message }
+ * @returns {string}
+ */
+function formatLogEntry(entry) {
+  const time = new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  const level = entry.level === 'log' ? '' : `${entry.level.toUpperCase()} `;
+  return `${time} ${level}${entry.message}`;
+}
+
+/**
+ * Close the tabs a group's launches opened
+ * @param {string} groupId - Group ID to close
+ */
+async function closeGroup(groupId) {
+  try {
     await browser.runtime.sendMessage({
-      action: 'launchGroup',
+      action: 'closeGroup',
       groupId: groupId
     });
 
-    // Close popup after launching
-    window.close();
+    // Refresh the buttons; tabs spared by the close are no longer tracked
+    const response = await browser.runtime.sendMessage({ action: 'getLaunchSessions' });
+    launchSessions = response.sessions || {};
+    renderGroups();
 
   } catch (error) {
-    debug.error('Error launching group:', error);
+    debug.error('Error closing group:', error);
+    alert('Failed to close group: ' + error.message);
+  }
+}
+
+/**
+ * Show the form for saving the current window as a group
+ */
+async function openSaveWindowForm() {
+  const currentWindow = await browser.windows.getCurrent();
+  const highlighted = await browser.tabs.query({ windowId: currentWindow.id, highlighted: true });
+
+  document.getElementById('saveWindowName').value = '';
+  document.getElementById('saveWindowSelected').checked = false;
+  document.getElementById('saveWindowSelectedLabel').style.display = highlighted.length > 1 ? 'flex' : 'none';
+  document.getElementById('saveWindowStatus').style.display = 'none';
+  document.getElementById('saveWindowBtn').style.display = 'none';
+  document.getElementById('saveWindowForm').style.display = 'block';
+  document.getElementById('saveWindowName').focus();
+}
 
-    // Re-enable buttons
-    document.querySelectorAll('.launch-btn').forEach(btn => {
-      btn.disabled = false;
+/**
+ * Hide the save window form
+ */
+function closeSaveWindowForm() {
+  document.getElementById('saveWindowForm').style.display = 'none';
+  document.getElementById('saveWindowBtn').style.display = 'block';
+}
+
+/**
+ * Save the current window's tabs as a new group
+ */
+async function saveWindowAsGroup() {
+  const confirmBtn = document.getElementById('saveWindowConfirm');
+  confirmBtn.disabled = true;
+
+  try {
+    const currentWindow = await browser.windows.getCurrent();
+    const response = await browser.runtime.sendMessage({
+      action: 'saveWindowAsGroup',
+      windowId: currentWindow.id,
+      selectedOnly: document.getElementById('saveWindowSelected').checked,
+      name: document.getElementById('saveWindowName').value.trim()
     });
 
-    alert('Failed to launch group: ' + error.message);
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    groups.push(response.group);
+    renderGroups();
+    closeSaveWindowForm();
+
+    const siteCount = response.group.sites.length;
+    const status = document.getElementById('saveWindowStatus');
+    status.textContent = `Saved ${siteCount} tab${siteCount !== 1 ? 's' : ''} as "${response.group.name}"`;
+    status.style.display = 'block';
+
+  } catch (error) {
+    debug.error('Error saving window as group:', error);
+    alert('Failed to save window: ' + error.message);
+  } finally {
+    confirmBtn.disabled = false;
   }
 }
 
@@ -164,7 +388,15 @@ function escapeHtml(text) {
 
 // Event listeners
 document.getElementById('settingsBtn').addEventListener('click', openSettings);
+document.getElementById('lastLaunchBtn').addEventListener('click', showLaunchProgress);
+document.getElementById('progressBackBtn').addEventListener('click', hideLaunchProgress);
 document.getElementById('createFirstGroup').addEventListener('click', openSettings);
+document.getElementById('saveWindowBtn').addEventListener('click', openSaveWindowForm);
+document.getElementById('saveWindowCancel').addEventListener('click', closeSaveWindowForm);
+document.getElementById('saveWindowConfirm').addEventListener('click', saveWindowAsGroup);
+document.getElementById('saveWindowName').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') saveWindowAsGroup();
+});
 
 // Initialize on load
 init();
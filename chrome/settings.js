@@ -9,6 +9,31 @@ let urls = [];
 let currentEditingGroup = null;
 let currentEditingSite = null;
 let currentEditingUrl = null;
+let runLog = [];
+
+// Delays (seconds) offered for each autostart group
+const AUTOSTART_DELAYS = [0, 5, 10, 15, 30, 60, 90, 120];
+
+// Day labels for schedules, in Date.getDay() order
+const SCHEDULE_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Manifest commands that launch the group assigned to them
+const SHORTCUT_COMMAND_PREFIX = 'launch-group-';
+
+// Labels for run log outcomes
+const RUN_OUTCOMES = {
+  success: 'Succeeded',
+  error: 'Failed',
+  expired: 'Expired',
+  interrupted: 'Interrupted'
+};
+
+// Labels for the manifest commands that don't launch a group
+const SHORTCUT_LABELS = {
+  _execute_browser_action: 'Open the popup',
+  _execute_action: 'Open the popup',
+  'close-last-group': 'Close the last launched group'
+};
 
 /**
  * Script Library - Example automation scripts
@@ -151,7 +176,9 @@ async function init() {
     renderGroups();
     renderSettings();
     renderScriptLibrary();
+    await loadRunLog();
     setupEventListeners();
+    showLinkedRun();
   } catch (error) {
     debug.error('Error initializing settings:', error);
     alert('Failed to load settings: ' + error.message);
@@ -169,7 +196,7 @@ async function loadData() {
   ]);
 
   groups = groupsResponse.groups || [];
-  settings = settingsResponse.settings || { mode: 'multi', defaultGroupId: null, autostartDelay: 10 };
+  settings = settingsResponse.settings || { mode: 'multi', defaultGroupId: null, autostartMode: 'sequential' };
   urls = urlsData.urls || [];
 }
 
@@ -196,6 +223,21 @@ function setupEventListeners() {
   document.getElementById('addGroupBtn').addEventListener('click', () => openGroupModal());
   document.getElementById('saveGroupBtn').addEventListener('click', saveGroup);
   document.getElementById('cancelGroupBtn').addEventListener('click', closeGroupModal);
+  document.getElementById('groupOpenIn').addEventListener('change', (e) => {
+    updateGroupWindowsSection(e.target.value);
+  });
+  document.getElementById('addWindowBtn').addEventListener('click', () => addWindowLayoutItem());
+  document.getElementById('groupTabGroupEnabled').addEventListener('change', (e) => {
+    document.getElementById('groupTabGroupOptions').style.display = e.target.checked ? 'block' : 'none';
+  });
+
+  document.getElementById('groupDuplicatePolicy').addEventListener('change', (e) => {
+    document.getElementById('groupDuplicateOptions').style.display = e.target.value === 'open' ? 'none' : 'block';
+  });
+
+  document.getElementById('groupMaxConcurrent').addEventListener('input', (e) => {
+    document.getElementById('groupWaitForSection').style.display = parseInt(e.target.value) > 0 ? 'block' : 'none';
+  });
 
   // Site actions
   document.getElementById('saveSiteBtn').addEventListener('click', saveSite);
@@ -206,6 +248,42 @@ function setupEventListeners() {
   // Script editor actions
   document.getElementById('saveScriptBtn').addEventListener('click', saveScript);
   document.getElementById('cancelScriptBtn').addEventListener('click', closeScriptModal);
+  document.getElementById('addStageBtn').addEventListener('click', () => addStageItem());
+
+  // Site options actions
+  document.getElementById('saveSiteOptionsBtn').addEventListener('click', saveSiteOptions);
+  document.getElementById('cancelSiteOptionsBtn').addEventListener('click', closeSiteOptionsModal);
+  document.getElementById('newContainerBtn').addEventListener('click', createContainer);
+  ['sitePinned', 'siteMuted', 'siteFocus', 'siteLazyLoad', 'siteTabIndex'].forEach(id => {
+    document.getElementById(id).addEventListener('change', updateSiteOptionWarnings);
+  });
+
+  // Schedule actions
+  document.getElementById('saveScheduleBtn').addEventListener('click', saveSchedule);
+  document.getElementById('cancelScheduleBtn').addEventListener('click', closeScheduleModal);
+  document.getElementById('addScheduleBtn').addEventListener('click', () => addScheduleItem());
+
+  // Update from window actions
+  document.getElementById('applyWindowDiffBtn').addEventListener('click', applyWindowDiff);
+  document.getElementById('cancelWindowDiffBtn').addEventListener('click', closeWindowDiffModal);
+
+  // Keyboard shortcut actions
+  document.getElementById('manageShortcutsBtn').addEventListener('click', openShortcutSettings);
+
+  // Run log actions
+  ['runGroupFilter', 'runSiteFilter', 'runOutcomeFilter'].forEach(id => {
+    document.getElementById(id).addEventListener('change', renderRunLog);
+  });
+  document.getElementById('exportRunsBtn').addEventListener('click', exportRunLog);
+  document.getElementById('clearRunsBtn').addEventListener('click', clearRunLog);
+
+  // Keep the run log current while automation runs in other tabs
+  browser.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.runLog) {
+      runLog = changes.runLog.newValue || [];
+      renderRunLog();
+    }
+  });
 
   // URL actions
   document.getElementById('addUrlBtn').addEventListener('click', () => openUrlModal());
@@ -219,6 +297,9 @@ function setupEventListeners() {
       closeSiteModal();
       closeScriptModal();
       closeUrlModal();
+      closeSiteOptionsModal();
+      closeScheduleModal();
+      closeWindowDiffModal();
     });
   });
 
@@ -235,6 +316,15 @@ function setupEventListeners() {
   document.getElementById('urlModal').addEventListener('click', (e) => {
     if (e.target.id === 'urlModal') closeUrlModal();
   });
+  document.getElementById('siteOptionsModal').addEventListener('click', (e) => {
+    if (e.target.id === 'siteOptionsModal') closeSiteOptionsModal();
+  });
+  document.getElementById('scheduleModal').addEventListener('click', (e) => {
+    if (e.target.id === 'scheduleModal') closeScheduleModal();
+  });
+  document.getElementById('windowDiffModal').addEventListener('click', (e) => {
+    if (e.target.id === 'windowDiffModal') closeWindowDiffModal();
+  });
 
   // Settings
   document.querySelectorAll('input[name="mode"]').forEach(radio => {
@@ -248,8 +338,33 @@ function setupEventListeners() {
     settings.defaultGroupId = e.target.value || null;
   });
 
-  document.getElementById('autostartDelay').addEventListener('change', (e) => {
-    settings.autostartDelay = parseInt(e.target.value) || 0;
+  document.getElementById('autostartMode').addEventListener('change', (e) => {
+    settings.autostartMode = e.target.value;
+  });
+
+  document.getElementById('autostartReadiness').addEventListener('change', (e) => {
+    settings.autostartReadiness = e.target.value;
+    document.getElementById('readinessOptions').style.display = e.target.value === 'network' ? 'block' : 'none';
+  });
+
+  document.getElementById('readinessProbeUrl').addEventListener('change', (e) => {
+    settings.readinessProbeUrl = e.target.value.trim() || null;
+  });
+
+  document.getElementById('readinessMaxWait').addEventListener('change', (e) => {
+    settings.readinessMaxWait = parseInt(e.target.value) || null;
+  });
+
+  document.getElementById('readinessTimeoutAction').addEventListener('change', (e) => {
+    settings.readinessTimeoutAction = e.target.value;
+  });
+
+  document.getElementById('spareNavigatedTabs').addEventListener('change', (e) => {
+    settings.spareNavigatedTabs = e.target.checked;
+  });
+
+  document.getElementById('screenshotOnFailure').addEventListener('change', (e) => {
+    settings.screenshotOnFailure = e.target.checked;
   });
 
   document.getElementById('saveSettingsBtn').addEventListener('click', saveSettings);
@@ -339,9 +454,14 @@ function createGroupCard(group) {
 
   const editBtn = document.createElement('button');
   editBtn.className = 'icon-btn edit-group';
-  editBtn.title = 'Edit group name';
+  editBtn.title = 'Edit group';
   editBtn.textContent = '✏️ Edit';
 
+  const syncBtn = document.createElement('button');
+  syncBtn.className = 'icon-btn sync-group';
+  syncBtn.title = 'Update the group to match the tabs it opened';
+  syncBtn.textContent = '🔄 Update';
+
   const deleteBtn = document.createElement('button');
   deleteBtn.className = 'icon-btn delete-group';
   deleteBtn.title = 'Delete group';
@@ -349,6 +469,7 @@ function createGroupCard(group) {
 
   actions.appendChild(testBtn);
   actions.appendChild(editBtn);
+  actions.appendChild(syncBtn);
   actions.appendChild(deleteBtn);
 
   header.appendChild(info);
@@ -373,6 +494,21 @@ function createGroupCard(group) {
   label.appendChild(labelText);
   options.appendChild(label);
 
+  const scheduleRow = document.createElement('div');
+  scheduleRow.className = 'schedule-summary';
+
+  const scheduleText = document.createElement('span');
+  scheduleText.textContent = '⏰ ' + describeSchedules(group.schedules || []);
+
+  const scheduleBtn = document.createElement('button');
+  scheduleBtn.className = 'icon-btn edit-schedule';
+  scheduleBtn.title = 'Launch this group at set times';
+  scheduleBtn.textContent = 'Schedule';
+
+  scheduleRow.appendChild(scheduleText);
+  scheduleRow.appendChild(scheduleBtn);
+  options.appendChild(scheduleRow);
+
   // Create body
   const body = document.createElement('div');
   body.className = 'group-card-body';
@@ -422,6 +558,11 @@ function createGroupCard(group) {
     editGroup(group.id);
   });
 
+  syncBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    openWindowDiffModal(group.id);
+  });
+
   deleteBtn.addEventListener('click', (e) => {
     e.stopPropagation();
     deleteGroup(group.id);
@@ -436,7 +577,18 @@ function createGroupCard(group) {
     await toggleAutostart(group.id, e.target.checked);
   });
 
+  scheduleBtn.addEventListener('click', () => {
+    openScheduleModal(group.id);
+  });
+
   // Site action listeners
+  card.querySelectorAll('.edit-site').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const siteId = btn.closest('.site-item').dataset.siteId;
+      openSiteOptionsModal(group.id, siteId);
+    });
+  });
+
   card.querySelectorAll('.delete-site').forEach(btn => {
     btn.addEventListener('click', () => {
       const siteId = btn.closest('.site-item').dataset.siteId;
@@ -465,7 +617,7 @@ function createSiteItemElement(groupId, site) {
   siteName.className = 'site-name';
   siteName.textContent = site.name;
 
-  if (site.automationScript) {
+  if (hasAutomation(site)) {
     const badge = document.createElement('span');
     badge.className = 'site-badge has-script';
     badge.textContent = 'Has Script';
@@ -473,6 +625,14 @@ function createSiteItemElement(groupId, site) {
     siteName.appendChild(badge);
   }
 
+  if (site.containerName) {
+    const badge = document.createElement('span');
+    badge.className = 'site-badge container';
+    badge.textContent = site.containerName;
+    siteName.appendChild(document.createTextNode(' '));
+    siteName.appendChild(badge);
+  }
+
   const siteUrl = document.createElement('div');
   siteUrl.className = 'site-url';
   siteUrl.textContent = site.url;
@@ -483,11 +643,23 @@ function createSiteItemElement(groupId, site) {
   const siteActions = document.createElement('div');
   siteActions.className = 'site-actions';
 
+  // Let sites pick a window when the group opens more than one
+  const group = groups.find(g => g.id === groupId);
+  if (group && group.openIn === 'windows' && (group.windows || []).length > 1) {
+    siteActions.appendChild(createSiteWindowSelect(group, site));
+  }
+
+  const editBtn = document.createElement('button');
+  editBtn.className = 'icon-btn edit-site';
+  editBtn.title = 'Site options';
+  editBtn.textContent = '⚙️';
+
   const deleteBtn = document.createElement('button');
   deleteBtn.className = 'icon-btn delete-site';
   deleteBtn.title = 'Remove from group';
   deleteBtn.textContent = '🗑️';
 
+  siteActions.appendChild(editBtn);
   siteActions.appendChild(deleteBtn);
 
   siteItem.appendChild(siteInfo);
@@ -504,16 +676,51 @@ function openGroupModal(groupId = null) {
   const modal = document.getElementById('groupModal');
   const title = document.getElementById('groupModalTitle');
   const input = document.getElementById('groupName');
+  const openInSelect = document.getElementById('groupOpenIn');
+  const group = groupId ? groups.find(g => g.id === groupId) : null;
+  let tabGroup = {};
 
-  if (groupId) {
-    const group = groups.find(g => g.id === groupId);
+  if (group) {
     title.textContent = 'Edit Group';
     input.value = group.name;
+    openInSelect.value = group.openIn || 'current';
+    renderWindowLayouts(group.windows || []);
+    tabGroup = group.tabGroup || {};
   } else {
     title.textContent = 'Add Group';
     input.value = '';
+    openInSelect.value = 'current';
+    renderWindowLayouts([]);
   }
 
+  updateGroupWindowsSection(openInSelect.value);
+
+  document.getElementById('groupTabGroupEnabled').checked = tabGroup.enabled || false;
+  document.getElementById('groupTabGroupColor').value = tabGroup.color || 'grey';
+  document.getElementById('groupTabGroupCollapsed').checked = tabGroup.collapsed || false;
+  document.getElementById('groupTabGroupOptions').style.display = tabGroup.enabled ? 'block' : 'none';
+
+  const duplicatePolicy = (group && group.duplicatePolicy) || 'open';
+  document.getElementById('groupDuplicatePolicy').value = duplicatePolicy;
+  document.getElementById('groupDuplicateMatch').value = (group && group.duplicateMatch) || 'exact';
+  document.getElementById('groupRerunAutomation').checked = (group && group.rerunAutomation) || false;
+  document.getElementById('groupDuplicateOptions').style.display = duplicatePolicy === 'open' ? 'none' : 'block';
+
+  const launchQueue = (group && group.launchQueue) || {};
+  document.getElementById('groupStagger').value = Number.isInteger(launchQueue.stagger) ? launchQueue.stagger : '';
+  document.getElementById('groupMaxConcurrent').value = launchQueue.maxConcurrent > 0 ? launchQueue.maxConcurrent : '';
+  document.getElementById('groupWaitFor').value = launchQueue.waitFor || 'load';
+  document.getElementById('groupWaitForSection').style.display = launchQueue.maxConcurrent > 0 ? 'block' : 'none';
+
+  const conditions = (group && group.autostartConditions) || {};
+  document.querySelectorAll('#groupAutostartDays input').forEach(input => {
+    input.checked = (conditions.days || []).includes(parseInt(input.value));
+  });
+  document.getElementById('groupAutostartFrom').value = conditions.from || '';
+  document.getElementById('groupAutostartUntil').value = conditions.until || '';
+  document.getElementById('groupAutostartOncePerDay').checked = conditions.oncePerDay || false;
+  document.getElementById('groupAutostartSkipIfOpen').checked = conditions.skipIfOpen || false;
+
   modal.classList.add('active');
   input.focus();
 }
@@ -537,25 +744,56 @@ async function saveGroup() {
     return;
   }
 
+  const updates = {
+    name,
+    openIn: document.getElementById('groupOpenIn').value,
+    windows: readWindowLayouts(),
+    tabGroup: {
+      enabled: document.getElementById('groupTabGroupEnabled').checked,
+      color: document.getElementById('groupTabGroupColor').value,
+      collapsed: document.getElementById('groupTabGroupCollapsed').checked
+    },
+    duplicatePolicy: document.getElementById('groupDuplicatePolicy').value,
+    duplicateMatch: document.getElementById('groupDuplicateMatch').value,
+    rerunAutomation: document.getElementById('groupRerunAutomation').checked,
+    launchQueue: readLaunchQueue(),
+    autostartConditions: {
+      days: Array.from(document.querySelectorAll('#groupAutostartDays input:checked'))
+        .map(input => parseInt(input.value)),
+      from: document.getElementById('groupAutostartFrom').value || null,
+      until: document.getElementById('groupAutostartUntil').value || null,
+      oncePerDay: document.getElementById('groupAutostartOncePerDay').checked,
+      skipIfOpen: document.getElementById('groupAutostartSkipIfOpen').checked
+    }
+  };
+
   try {
     if (currentEditingGroup) {
       // Edit existing group
       await browser.runtime.sendMessage({
         action: 'updateGroup',
         groupId: currentEditingGroup,
-        updates: { name }
+        updates
       });
     } else {
-      // Add new group
-      await browser.runtime.sendMessage({
+      // Add new group, then store its window settings
+      const response = await browser.runtime.sendMessage({
         action: 'addGroup',
         name
       });
+
+      await browser.runtime.sendMessage({
+        action: 'updateGroup',
+        groupId: response.group.id,
+        updates
+      });
     }
 
     await loadData();
     renderGroups();
     updateDefaultGroupSelect();
+    renderAutostartList();
+    renderShortcutList();
     closeGroupModal();
   } catch (error) {
     debug.error('Error saving group:', error);
@@ -563,6 +801,202 @@ async function saveGroup() {
   }
 }
 
+/**
+ * Read the launch queue settings from the group modal
+ * Empty fields fall back to the background's defaults
+ */
+function readLaunchQueue() {
+  const launchQueue = {
+    waitFor: document.getElementById('groupWaitFor').value
+  };
+
+  const stagger = parseInt(document.getElementById('groupStagger').value);
+  if (stagger >= 0) {
+    launchQueue.stagger = stagger;
+  }
+
+  const maxConcurrent = parseInt(document.getElementById('groupMaxConcurrent').value);
+  if (maxConcurrent > 0) {
+    launchQueue.maxConcurrent = maxConcurrent;
+  }
+
+  return launchQueue;
+}
+
+/**
+ * Show the window layouts editor when a group opens in its own windows
+ */
+function updateGroupWindowsSection(openIn) {
+  document.getElementById('groupWindowsSection').style.display = openIn === 'windows' ? 'block' : 'none';
+
+  // Start with one window so the option does something
+  if (openIn === 'windows' && !document.querySelector('#groupWindows .window-layout')) {
+    addWindowLayoutItem();
+  }
+}
+
+/**
+ * Render window layouts in the group modal
+ */
+function renderWindowLayouts(layouts) {
+  document.getElementById('groupWindows').innerHTML = '';
+  layouts.forEach(layout => addWindowLayoutItem(layout));
+}
+
+/**
+ * Add a window layout editor (name, state, size and position) to the group modal
+ */
+function addWindowLayoutItem(layout = {}) {
+  const container = document.getElementById('groupWindows');
+
+  const item = document.createElement('div');
+  item.className = 'window-layout';
+  item.dataset.layoutId = layout.id || generateId();
+
+  // Name, reuse and remove
+  const header = document.createElement('div');
+  header.className = 'window-layout-header';
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'input layout-name';
+  nameInput.placeholder = `Window ${container.children.length + 1} name, e.g. Dashboards`;
+  nameInput.value = layout.name || '';
+
+  const reuseLabel = document.createElement('label');
+  reuseLabel.className = 'checkbox-label';
+  reuseLabel.title = 'Open tabs in the window last opened with this name, if it is still open';
+
+  const reuseCheckbox = document.createElement('input');
+  reuseCheckbox.type = 'checkbox';
+  reuseCheckbox.className = 'layout-reuse';
+  reuseCheckbox.checked = layout.reuse || false;
+
+  const reuseText = document.createElement('span');
+  reuseText.textContent = 'Reuse if open';
+
+  reuseLabel.appendChild(reuseCheckbox);
+  reuseLabel.appendChild(reuseText);
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'icon-btn remove-window';
+  removeBtn.title = 'Remove window';
+  removeBtn.textContent = '🗑️';
+
+  header.appendChild(nameInput);
+  header.appendChild(reuseLabel);
+  header.appendChild(removeBtn);
+
+  // State, size and position
+  const fields = document.createElement('div');
+  fields.className = 'window-layout-fields';
+
+  const stateSelect = document.createElement('select');
+  stateSelect.className = 'select-input layout-state';
+  [
+    ['normal', 'Normal'],
+    ['maximized', 'Maximized'],
+    ['fullscreen', 'Fullscreen'],
+    ['minimized', 'Minimized']
+  ].forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    stateSelect.appendChild(option);
+  });
+  stateSelect.value = layout.state || 'normal';
+  fields.appendChild(stateSelect);
+
+  const boundInputs = {};
+  ['width', 'height', 'left', 'top'].forEach(key => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = `input layout-${key}`;
+    input.placeholder = key.charAt(0).toUpperCase() + key.slice(1);
+    input.title = `${input.placeholder} in pixels (used when the state is Normal)`;
+    input.value = Number.isFinite(layout[key]) ? layout[key] : '';
+    boundInputs[key] = input;
+    fields.appendChild(input);
+  });
+
+  const captureBtn = document.createElement('button');
+  captureBtn.type = 'button';
+  captureBtn.className = 'secondary-btn capture-window';
+  captureBtn.title = 'Use the size and position of this settings window';
+  captureBtn.textContent = 'Use current';
+  fields.appendChild(captureBtn);
+
+  item.appendChild(header);
+  item.appendChild(fields);
+  container.appendChild(item);
+
+  removeBtn.addEventListener('click', () => item.remove());
+
+  captureBtn.addEventListener('click', async () => {
+    const current = await browser.windows.getCurrent();
+    stateSelect.value = 'normal';
+    ['width', 'height', 'left', 'top'].forEach(key => {
+      boundInputs[key].value = current[key];
+    });
+  });
+}
+
+/**
+ * Read window layouts from the group modal
+ */
+function readWindowLayouts() {
+  return Array.from(document.querySelectorAll('#groupWindows .window-layout')).map(item => {
+    const layout = {
+      id: item.dataset.layoutId,
+      name: item.querySelector('.layout-name').value.trim(),
+      reuse: item.querySelector('.layout-reuse').checked,
+      state: item.querySelector('.layout-state').value
+    };
+
+    ['width', 'height', 'left', 'top'].forEach(key => {
+      const value = parseInt(item.querySelector(`.layout-${key}`).value);
+      layout[key] = Number.isNaN(value) ? null : value;
+    });
+
+    return layout;
+  });
+}
+
+/**
+ * Create the window picker for a site in a group card
+ */
+function createSiteWindowSelect(group, site) {
+  const select = document.createElement('select');
+  select.className = 'select-input site-window-select';
+  select.title = 'Window this site opens in';
+
+  group.windows.forEach((layout, index) => {
+    const option = document.createElement('option');
+    option.value = layout.id;
+    option.textContent = layout.name || `Window ${index + 1}`;
+    select.appendChild(option);
+  });
+
+  const layoutIds = group.windows.map(layout => layout.id);
+  select.value = layoutIds.includes(site.windowLayoutId) ? site.windowLayoutId : layoutIds[0];
+
+  select.addEventListener('change', async () => {
+    try {
+      site.windowLayoutId = select.value;
+      await browser.runtime.sendMessage({
+        action: 'saveGroups',
+        groups: groups
+      });
+    } catch (error) {
+      debug.error('Error assigning window:', error);
+      alert('Failed to assign window: ' + error.message);
+    }
+  });
+
+  return select;
+}
+
 /**
  * Edit group
  */
@@ -575,10 +1009,16 @@ function editGroup(groupId) {
  */
 async function testGroup(groupId) {
   try {
-    await browser.runtime.sendMessage({
+    const response = await browser.runtime.sendMessage({
       action: 'launchGroup',
       groupId: groupId
     });
+
+    const failed = (response.results || []).filter(result => result.status === 'failed' || result.status === 'skipped');
+    if (failed.length > 0) {
+      const lines = failed.map(result => `${result.order}. ${result.name}: ${result.error}`);
+      alert('Some sites didn\'t open:\n' + lines.join('\n'));
+    }
   } catch (error) {
     debug.error('Error testing group:', error);
     alert('Failed to launch group: ' + error.message);
@@ -603,6 +1043,7 @@ async function deleteGroup(groupId) {
     await loadData();
     renderGroups();
     updateDefaultGroupSelect();
+    renderShortcutList();
   } catch (error) {
     debug.error('Error deleting group:', error);
     alert('Failed to delete group: ' + error.message);
@@ -614,15 +1055,18 @@ async function deleteGroup(groupId) {
  */
 async function toggleAutostart(groupId, enabled) {
   try {
-    // If enabling, disable autostart for all other groups (only one can autostart)
+    const group = groups.find(g => g.id === groupId);
+    group.autostart = enabled;
+
+    // Newly enabled groups launch after the existing ones
     if (enabled) {
-      groups.forEach(g => {
-        g.autostart = g.id === groupId;
-      });
-    } else {
-      // Just disable this group
-      const group = groups.find(g => g.id === groupId);
-      group.autostart = false;
+      const orders = getAutostartGroups()
+        .filter(g => g.id !== groupId)
+        .map(g => g.autostartOrder || 0);
+      group.autostartOrder = orders.length > 0 ? Math.max(...orders) + 1 : 0;
+      if (!Number.isInteger(group.autostartDelay)) {
+        group.autostartDelay = getLegacyAutostartDelay();
+      }
     }
 
     // Save to background
@@ -633,8 +1077,8 @@ async function toggleAutostart(groupId, enabled) {
 
     await loadData();
     renderGroups();
+    renderAutostartList();
 
-    const group = groups.find(g => g.id === groupId);
     if (enabled) {
       // Show confirmation
       debug.log(`Autostart enabled for "${group.name}"`);
@@ -645,6 +1089,352 @@ async function toggleAutostart(groupId, enabled) {
   }
 }
 
+/**
+ * Summarise a group's schedules for its card, e.g. "Weekdays at 09:55; Fri at 16:30"
+ */
+function describeSchedules(schedules) {
+  const active = schedules.filter(s => s.enabled !== false);
+  if (active.length === 0) {
+    return 'No scheduled launches';
+  }
+
+  return active.map(schedule => `${describeDays(schedule.days)} at ${schedule.time}`).join('; ');
+}
+
+/**
+ * Describe a set of weekdays, e.g. "Weekdays" or "Mon, Wed"
+ */
+function describeDays(days) {
+  const sorted = [...days].sort();
+  if (sorted.length === 7) {
+    return 'Every day';
+  } else if (sorted.join() === '1,2,3,4,5') {
+    return 'Weekdays';
+  } else if (sorted.join() === '0,6') {
+    return 'Weekends';
+  }
+  return sorted.map(day => SCHEDULE_DAYS[day]).join(', ');
+}
+
+/**
+ * Summarise a group's autostart conditions for the autostart list
+ */
+function describeAutostartConditions(conditions = {}) {
+  const parts = [];
+  if (conditions.days && conditions.days.length > 0 && conditions.days.length < 7) {
+    parts.push(describeDays(conditions.days));
+  }
+  if (conditions.from || conditions.until) {
+    parts.push(`${conditions.from || '00:00'}–${conditions.until || '24:00'}`);
+  }
+  if (conditions.oncePerDay) {
+    parts.push('once a day');
+  }
+  if (conditions.skipIfOpen) {
+    parts.push('unless already open');
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Open the schedule editor for a group
+ */
+function openScheduleModal(groupId) {
+  currentEditingGroup = groupId;
+  const group = groups.find(g => g.id === groupId);
+
+  document.getElementById('scheduleGroupName').textContent = group.name;
+  document.getElementById('scheduleList').innerHTML = '';
+  (group.schedules || []).forEach(schedule => addScheduleItem(schedule));
+
+  // Start with one weekday slot so there's something to edit
+  if (!group.schedules || group.schedules.length === 0) {
+    addScheduleItem();
+  }
+
+  document.getElementById('scheduleModal').classList.add('active');
+}
+
+/**
+ * Close schedule modal
+ */
+function closeScheduleModal() {
+  document.getElementById('scheduleModal').classList.remove('active');
+  currentEditingGroup = null;
+}
+
+/**
+ * Add a schedule row to the schedule editor
+ */
+function addScheduleItem(schedule = { time: '09:00', days: [1, 2, 3, 4, 5] }) {
+  const item = document.createElement('div');
+  item.className = 'schedule-item';
+  item.dataset.scheduleId = schedule.id || generateId();
+
+  const header = document.createElement('div');
+  header.className = 'schedule-item-header';
+
+  const enabledLabel = document.createElement('label');
+  enabledLabel.className = 'checkbox-label';
+  const enabledCheckbox = document.createElement('input');
+  enabledCheckbox.type = 'checkbox';
+  enabledCheckbox.className = 'schedule-enabled';
+  enabledCheckbox.checked = schedule.enabled !== false;
+  const enabledText = document.createElement('span');
+  enabledText.textContent = 'On';
+  enabledLabel.appendChild(enabledCheckbox);
+  enabledLabel.appendChild(enabledText);
+
+  const timeInput = document.createElement('input');
+  timeInput.type = 'time';
+  timeInput.className = 'input schedule-time';
+  timeInput.value = schedule.time || '';
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'icon-btn remove-schedule';
+  removeBtn.title = 'Remove time';
+  removeBtn.textContent = '🗑️';
+  removeBtn.addEventListener('click', () => item.remove());
+
+  header.appendChild(enabledLabel);
+  header.appendChild(timeInput);
+  header.appendChild(removeBtn);
+
+  const days = document.createElement('div');
+  days.className = 'schedule-days';
+
+  // List Monday first, like most work weeks
+  [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+    const dayLabel = document.createElement('label');
+    dayLabel.className = 'checkbox-label schedule-day';
+    const dayCheckbox = document.createElement('input');
+    dayCheckbox.type = 'checkbox';
+    dayCheckbox.value = day;
+    dayCheckbox.checked = (schedule.days || []).includes(day);
+    const dayText = document.createElement('span');
+    dayText.textContent = SCHEDULE_DAYS[day];
+    dayLabel.appendChild(dayCheckbox);
+    dayLabel.appendChild(dayText);
+    days.appendChild(dayLabel);
+  });
+
+  const catchUpLabel = document.createElement('label');
+  catchUpLabel.className = 'checkbox-label';
+  const catchUpCheckbox = document.createElement('input');
+  catchUpCheckbox.type = 'checkbox';
+  catchUpCheckbox.className = 'schedule-catch-up';
+  catchUpCheckbox.checked = schedule.catchUp || false;
+  const catchUpText = document.createElement('span');
+  catchUpText.textContent = 'If the browser was closed at this time, launch when it opens (within 12 hours)';
+  catchUpLabel.appendChild(catchUpCheckbox);
+  catchUpLabel.appendChild(catchUpText);
+
+  item.appendChild(header);
+  item.appendChild(days);
+  item.appendChild(catchUpLabel);
+  document.getElementById('scheduleList').appendChild(item);
+}
+
+/**
+ * Save the schedule editor's times to the group
+ */
+async function saveSchedule() {
+  const group = groups.find(g => g.id === currentEditingGroup);
+  const existing = group.schedules || [];
+  const schedules = [];
+
+  for (const item of document.querySelectorAll('#scheduleList .schedule-item')) {
+    const time = item.querySelector('.schedule-time').value;
+    const days = Array.from(item.querySelectorAll('.schedule-days input:checked'))
+      .map(input => parseInt(input.value));
+
+    if (!time || days.length === 0) {
+      alert('Each scheduled time needs a time and at least one day');
+      return;
+    }
+
+    const id = item.dataset.scheduleId;
+    const previous = existing.find(s => s.id === id);
+    const unchanged = previous && previous.time === time && previous.days.join() === days.join();
+
+    schedules.push({
+      id,
+      time,
+      days,
+      enabled: item.querySelector('.schedule-enabled').checked,
+      catchUp: item.querySelector('.schedule-catch-up').checked,
+      // Catch-up ignores times from before a schedule was last changed
+      updatedAt: unchanged ? previous.updatedAt : Date.now()
+    });
+  }
+
+  try {
+    await browser.runtime.sendMessage({
+      action: 'updateGroup',
+      groupId: group.id,
+      updates: { schedules }
+    });
+
+    await loadData();
+    renderGroups();
+    renderUpcomingLaunches();
+    closeScheduleModal();
+  } catch (error) {
+    debug.error('Error saving schedule:', error);
+    alert('Failed to save schedule: ' + error.message);
+  }
+}
+
+/**
+ * Open the update from window modal with the differences between a group and its launched tabs
+ */
+async function openWindowDiffModal(groupId) {
+  const group = groups.find(g => g.id === groupId);
+
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'getWindowDiff', groupId });
+    if (!response.success) {
+      alert(response.error);
+      return;
+    }
+
+    const { added, removed, reordered, order } = response.diff;
+    currentEditingGroup = groupId;
+
+    document.getElementById('windowDiffGroupName').textContent = group.name;
+    renderWindowDiffList('windowDiffAdded', added.map(page => ({ value: page.tabId, name: page.title, url: page.url })));
+    renderWindowDiffList('windowDiffRemoved', removed.map(site => ({ value: site.siteId, name: site.name, url: site.url })));
+    document.getElementById('windowDiffOrder').textContent = order.join(', ');
+    document.getElementById('windowDiffReorder').checked = true;
+
+    document.getElementById('windowDiffAddedSection').style.display = added.length > 0 ? 'block' : 'none';
+    document.getElementById('windowDiffRemovedSection').style.display = removed.length > 0 ? 'block' : 'none';
+    document.getElementById('windowDiffOrderSection').style.display = reordered ? 'block' : 'none';
+
+    const unchanged = added.length === 0 && removed.length === 0 && !reordered;
+    document.getElementById('windowDiffEmpty').style.display = unchanged ? 'block' : 'none';
+    document.getElementById('applyWindowDiffBtn').disabled = unchanged;
+
+    document.getElementById('windowDiffModal').classList.add('active');
+  } catch (error) {
+    debug.error('Error comparing group with window:', error);
+    alert('Failed to compare group with window: ' + error.message);
+  }
+}
+
+/**
+ * Render a list of ticked checkboxes for one kind of window change
+ * @param {string} containerId - List element ID
+ * @param {Array<{value: string|number, name: string, url: string}>} items - Changes
+ */
+function renderWindowDiffList(containerId, items) {
+  const container = document.getElementById(containerId);
+  container.innerHTML = '';
+
+  items.forEach(item => {
+    const label = document.createElement('label');
+    label.className = 'checkbox-label window-diff-item';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = item.value;
+    checkbox.checked = true;
+
+    const text = document.createElement('span');
+    text.textContent = item.name;
+
+    const url = document.createElement('span');
+    url.className = 'window-diff-url';
+    url.textContent = item.url;
+    text.appendChild(url);
+
+    label.appendChild(checkbox);
+    label.appendChild(text);
+    container.appendChild(label);
+  });
+}
+
+/**
+ * Close update from window modal
+ */
+function closeWindowDiffModal() {
+  document.getElementById('windowDiffModal').classList.remove('active');
+  currentEditingGroup = null;
+}
+
+/**
+ * Apply the ticked window changes to the group
+ */
+async function applyWindowDiff() {
+  const checkedValues = containerId => Array.from(document.querySelectorAll(`#${containerId} input:checked`))
+    .map(input => input.value);
+
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: 'applyWindowDiff',
+      groupId: currentEditingGroup,
+      changes: {
+        addTabIds: checkedValues('windowDiffAdded').map(Number),
+        removeSiteIds: checkedValues('windowDiffRemoved'),
+        reorder: document.getElementById('windowDiffReorder').checked
+      }
+    });
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    await loadData();
+    renderGroups();
+    renderUrls();
+    closeWindowDiffModal();
+  } catch (error) {
+    debug.error('Error updating group from window:', error);
+    alert('Failed to update group: ' + error.message);
+  }
+}
+
+/**
+ * List the next scheduled launches in the settings tab
+ */
+async function renderUpcomingLaunches() {
+  const container = document.getElementById('upcomingLaunches');
+
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'getUpcomingLaunches', limit: 10 });
+    const upcoming = response.upcoming || [];
+
+    container.innerHTML = '';
+    if (upcoming.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'help-text';
+      empty.textContent = 'No scheduled launches.';
+      container.appendChild(empty);
+      return;
+    }
+
+    upcoming.forEach(launch => {
+      const item = document.createElement('div');
+      item.className = 'upcoming-launch';
+
+      const when = document.createElement('span');
+      when.className = 'upcoming-launch-time';
+      when.textContent = new Date(launch.when).toLocaleString(undefined, {
+        weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+      });
+
+      const name = document.createElement('span');
+      name.textContent = launch.groupName;
+
+      item.appendChild(when);
+      item.appendChild(name);
+      container.appendChild(item);
+    });
+  } catch (error) {
+    debug.error('Error loading upcoming launches:', error);
+  }
+}
+
 /**
  * Open site modal for adding/editing
  */
@@ -756,13 +1546,19 @@ async function saveSite() {
       // Check if this site already exists to preserve its settings
       const existingSite = group.sites.find(s => s.urlId === urlId);
 
+      if (existingSite) {
+        return { ...existingSite, name: url.name, url: url.url };
+      }
+
       return {
-        id: existingSite ? existingSite.id : generateId(),
+        id: generateId(),
         urlId: urlId,
         name: url.name,
         url: url.url,
-        automationScript: existingSite ? existingSite.automationScript : '',
-        enabled: existingSite ? existingSite.enabled : true
+        automationScript: url.automationScript || '',
+        automationStages: url.automationStages || [],
+        automationTimeout: url.automationTimeout,
+        enabled: true
       };
     });
 
@@ -781,6 +1577,239 @@ async function saveSite() {
   }
 }
 
+/**
+ * Open site options modal
+ */
+async function openSiteOptionsModal(groupId, siteId) {
+  currentEditingGroup = groupId;
+  currentEditingSite = siteId;
+
+  const group = groups.find(g => g.id === groupId);
+  const site = group.sites.find(s => s.id === siteId);
+
+  document.getElementById('siteOptionsName').textContent = site.name;
+  document.getElementById('siteOptionsUrl').textContent = site.url;
+
+  await populateContainerSelect(site.containerName || '');
+
+  document.getElementById('sitePinned').checked = site.pinned || false;
+  document.getElementById('siteMuted').checked = site.muted || false;
+  document.getElementById('siteFocus').checked = site.focus || false;
+  document.getElementById('siteLazyLoad').checked = site.lazyLoad || false;
+  document.getElementById('siteTabIndex').value = Number.isInteger(site.tabIndex) ? site.tabIndex : '';
+  document.getElementById('siteMatchPattern').value = site.matchPattern || '';
+  renderSiteDependencies(group, site);
+  updateSiteOptionWarnings();
+
+  document.getElementById('siteOptionsModal').classList.add('active');
+}
+
+/**
+ * Close site options modal
+ */
+function closeSiteOptionsModal() {
+  document.getElementById('siteOptionsModal').classList.remove('active');
+  currentEditingGroup = null;
+  currentEditingSite = null;
+}
+
+/**
+ * Save site options
+ */
+async function saveSiteOptions() {
+  try {
+    const group = groups.find(g => g.id === currentEditingGroup);
+    const site = group.sites.find(s => s.id === currentEditingSite);
+
+    // Containers are stored by name so exports work in other profiles
+    site.containerName = document.getElementById('siteContainer').value || null;
+    site.matchPattern = document.getElementById('siteMatchPattern').value.trim() || null;
+    site.dependsOn = Array.from(document.querySelectorAll('#siteDependsOn input:checked'))
+      .map(input => input.value);
+
+    Object.assign(site, readTabOptions());
+
+    // Only one tab can end up focused
+    if (site.focus) {
+      group.sites.forEach(s => {
+        if (s.id !== site.id) s.focus = false;
+      });
+    }
+
+    await browser.runtime.sendMessage({
+      action: 'saveGroups',
+      groups: groups
+    });
+
+    await loadData();
+    renderGroups();
+    closeSiteOptionsModal();
+  } catch (error) {
+    debug.error('Error saving site options:', error);
+    alert('Failed to save site options: ' + error.message);
+  }
+}
+
+/**
+ * Read tab options from the site options modal
+ */
+function readTabOptions() {
+  const tabIndex = parseInt(document.getElementById('siteTabIndex').value);
+
+  return {
+    pinned: document.getElementById('sitePinned').checked,
+    muted: document.getElementById('siteMuted').checked,
+    focus: document.getElementById('siteFocus').checked,
+    lazyLoad: document.getElementById('siteLazyLoad').checked,
+    tabIndex: Number.isNaN(tabIndex) ? null : tabIndex
+  };
+}
+
+/**
+ * List the other sites in the group that a site can depend on
+ * Sites that already depend on it (directly or indirectly) are left out to avoid cycles
+ */
+function renderSiteDependencies(group, site) {
+  const section = document.getElementById('siteDependsOnSection');
+  const container = document.getElementById('siteDependsOn');
+  const selected = site.dependsOn || [];
+
+  const dependsOnSite = (candidate, visited = new Set()) => {
+    if (visited.has(candidate.id)) return false;
+    visited.add(candidate.id);
+    return (candidate.dependsOn || []).some(id => {
+      if (id === site.id) return true;
+      const next = group.sites.find(s => s.id === id);
+      return next ? dependsOnSite(next, visited) : false;
+    });
+  };
+
+  const candidates = group.sites.filter(s => s.id !== site.id && !dependsOnSite(s));
+
+  container.innerHTML = '';
+  candidates.forEach(candidate => {
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = candidate.id;
+    checkbox.checked = selected.includes(candidate.id);
+
+    const name = document.createElement('span');
+    name.textContent = hasAutomation(candidate) ? candidate.name : `${candidate.name} (no automation, waits for the page to load)`;
+
+    label.appendChild(checkbox);
+    label.appendChild(name);
+    container.appendChild(label);
+  });
+
+  section.style.display = candidates.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * List tab options that conflict with each other or with the site's automation
+ */
+function getTabOptionWarnings(site, options) {
+  const warnings = [];
+
+  if (options.lazyLoad && hasAutomation(site)) {
+    warnings.push('This site has an automation script. It won\'t run until the tab is clicked, and is skipped if that happens after the script\'s deadline.');
+  }
+  if (options.lazyLoad && options.focus) {
+    warnings.push('The focused tab loads straight away, so it won\'t stay unloaded.');
+  }
+  if (options.lazyLoad && options.pinned) {
+    warnings.push('Pinned tabs can\'t start unloaded, so this tab loads straight away.');
+  }
+  if (options.pinned && options.tabIndex !== null) {
+    warnings.push('Pinned tabs stay before unpinned tabs, so the position only applies among pinned tabs.');
+  }
+
+  return warnings;
+}
+
+/**
+ * Show tab option conflicts in the site options modal
+ */
+function updateSiteOptionWarnings() {
+  const container = document.getElementById('siteOptionWarnings');
+  const group = groups.find(g => g.id === currentEditingGroup);
+  const site = group && group.sites.find(s => s.id === currentEditingSite);
+  const warnings = site ? getTabOptionWarnings(site, readTabOptions()) : [];
+
+  container.innerHTML = '';
+  warnings.forEach(warning => {
+    const item = document.createElement('div');
+    item.className = 'option-warning';
+    item.textContent = '⚠️ ' + warning;
+    container.appendChild(item);
+  });
+  container.style.display = warnings.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * Fill the container select with the profile's Firefox containers
+ * Hides the section where containers aren't available
+ */
+async function populateContainerSelect(selectedName) {
+  const section = document.getElementById('siteContainerSection');
+  const select = document.getElementById('siteContainer');
+
+  let containers = [];
+  try {
+    if (!browser.contextualIdentities) {
+      throw new Error('Containers are not supported in this browser');
+    }
+    containers = await browser.contextualIdentities.query({});
+  } catch (error) {
+    // Unsupported, or containers are disabled in Firefox
+    debug.log('Containers unavailable:', error.message);
+    section.style.display = 'none';
+    select.innerHTML = '';
+    return;
+  }
+
+  section.style.display = 'block';
+  select.innerHTML = '<option value="">No container</option>';
+
+  const names = containers.map(container => container.name);
+
+  // Keep a container that no longer exists (e.g. imported); it's created on launch
+  if (selectedName && !names.includes(selectedName)) {
+    names.push(selectedName);
+  }
+
+  names.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+
+  select.value = selectedName;
+}
+
+/**
+ * Create a new Firefox container and select it
+ */
+async function createContainer() {
+  const name = (prompt('Container name:') || '').trim();
+  if (!name) return;
+
+  try {
+    await browser.contextualIdentities.create({
+      name,
+      color: 'blue',
+      icon: 'fingerprint'
+    });
+    await populateContainerSelect(name);
+  } catch (error) {
+    debug.error('Error creating container:', error);
+    alert('Failed to create container: ' + error.message);
+  }
+}
+
 /**
  * Delete site
  */
@@ -817,14 +1846,260 @@ function renderSettings() {
   // Set mode radio
   document.querySelector(`input[name="mode"][value="${settings.mode}"]`).checked = true;
 
-  // Set autostart delay
-  const autostartDelay = settings.autostartDelay || 10;
-  document.getElementById('autostartDelay').value = autostartDelay.toString();
+  // Set autostart mode and list the autostart groups
+  document.getElementById('autostartMode').value = settings.autostartMode || 'sequential';
+  renderAutostartList();
+
+  // Set network readiness options
+  const readiness = settings.autostartReadiness || 'delay';
+  document.getElementById('autostartReadiness').value = readiness;
+  document.getElementById('readinessProbeUrl').value = settings.readinessProbeUrl || '';
+  document.getElementById('readinessMaxWait').value = settings.readinessMaxWait || '';
+  document.getElementById('readinessTimeoutAction').value = settings.readinessTimeoutAction || 'launch';
+  document.getElementById('readinessOptions').style.display = readiness === 'network' ? 'block' : 'none';
+
+  renderUpcomingLaunches();
+
+  document.getElementById('spareNavigatedTabs').checked = settings.spareNavigatedTabs || false;
+  document.getElementById('screenshotOnFailure').checked = settings.screenshotOnFailure || false;
+
+  renderShortcutList();
 
   // Update default group select
   updateDefaultGroupSelect();
 }
 
+/**
+ * Get the groups that launch at startup, in launch order
+ */
+function getAutostartGroups() {
+  return groups
+    .filter(g => g.autostart === true)
+    .map((group, index) => ({ group, index }))
+    .sort((a, b) => {
+      const orderA = Number.isInteger(a.group.autostartOrder) ? a.group.autostartOrder : Infinity;
+      const orderB = Number.isInteger(b.group.autostartOrder) ? b.group.autostartOrder : Infinity;
+      return (orderA - orderB) || (a.index - b.index);
+    })
+    .map(entry => entry.group);
+}
+
+/**
+ * Delay (seconds) for groups saved before delays were set per group
+ */
+function getLegacyAutostartDelay() {
+  return settings.autostartDelay !== undefined ? settings.autostartDelay : 10;
+}
+
+/**
+ * Render the ordered autostart groups with their delays
+ */
+function renderAutostartList() {
+  const container = document.getElementById('autostartList');
+  const emptyState = document.getElementById('emptyAutostartState');
+  const autostartGroups = getAutostartGroups();
+
+  container.innerHTML = '';
+  emptyState.style.display = autostartGroups.length === 0 ? 'block' : 'none';
+
+  autostartGroups.forEach((group, index) => {
+    const item = document.createElement('div');
+    item.className = 'autostart-item';
+
+    const name = document.createElement('span');
+    name.className = 'autostart-name';
+    name.textContent = `${index + 1}. ${group.name}`;
+
+    // Conditions are edited in the group editor
+    const conditionText = describeAutostartConditions(group.autostartConditions);
+    if (conditionText) {
+      const conditions = document.createElement('span');
+      conditions.className = 'autostart-conditions';
+      conditions.textContent = conditionText;
+      name.appendChild(conditions);
+    }
+
+    const delaySelect = document.createElement('select');
+    delaySelect.className = 'select-input autostart-delay';
+    delaySelect.title = 'Delay before this group launches';
+    const delay = Number.isInteger(group.autostartDelay) ? group.autostartDelay : getLegacyAutostartDelay();
+    AUTOSTART_DELAYS.forEach(seconds => {
+      const option = document.createElement('option');
+      option.value = seconds;
+      option.textContent = seconds === 0 ? 'No delay' : `${seconds} seconds`;
+      option.selected = seconds === delay;
+      delaySelect.appendChild(option);
+    });
+    delaySelect.addEventListener('change', () => {
+      group.autostartDelay = parseInt(delaySelect.value);
+      saveAutostartGroups(autostartGroups);
+    });
+
+    const upBtn = document.createElement('button');
+    upBtn.className = 'icon-btn';
+    upBtn.title = 'Launch earlier';
+    upBtn.textContent = '↑';
+    upBtn.disabled = index === 0;
+    upBtn.addEventListener('click', () => moveAutostartGroup(autostartGroups, index, -1));
+
+    const downBtn = document.createElement('button');
+    downBtn.className = 'icon-btn';
+    downBtn.title = 'Launch later';
+    downBtn.textContent = '↓';
+    downBtn.disabled = index === autostartGroups.length - 1;
+    downBtn.addEventListener('click', () => moveAutostartGroup(autostartGroups, index, 1));
+
+    item.appendChild(name);
+    item.appendChild(delaySelect);
+    item.appendChild(upBtn);
+    item.appendChild(downBtn);
+    container.appendChild(item);
+  });
+}
+
+/**
+ * Move an autostart group earlier or later in the launch order
+ */
+function moveAutostartGroup(autostartGroups, index, offset) {
+  const [group] = autostartGroups.splice(index, 1);
+  autostartGroups.splice(index + offset, 0, group);
+  saveAutostartGroups(autostartGroups);
+}
+
+/**
+ * Save the autostart order and delays
+ */
+async function saveAutostartGroups(autostartGroups) {
+  autostartGroups.forEach((group, index) => {
+    group.autostartOrder = index;
+  });
+
+  try {
+    await browser.runtime.sendMessage({
+      action: 'saveGroups',
+      groups: groups
+    });
+
+    renderAutostartList();
+  } catch (error) {
+    debug.error('Error saving autostart order:', error);
+    alert('Failed to update autostart: ' + error.message);
+  }
+}
+
+/**
+ * List each group's keyboard shortcut, plus the shortcuts that don't launch a group
+ */
+async function renderShortcutList() {
+  const container = document.getElementById('shortcutList');
+  const otherContainer = document.getElementById('otherShortcuts');
+
+  let commands = [];
+  try {
+    commands = await browser.commands.getAll();
+  } catch (error) {
+    debug.error('Error loading shortcuts:', error);
+  }
+
+  const slots = commands.filter(command => command.name.startsWith(SHORTCUT_COMMAND_PREFIX));
+  const describeKeys = command => command.shortcut || 'no keys set';
+
+  container.innerHTML = '';
+  groups.forEach(group => {
+    const item = document.createElement('div');
+    item.className = 'shortcut-item';
+
+    const name = document.createElement('span');
+    name.className = 'shortcut-name';
+    name.textContent = group.name;
+
+    const select = document.createElement('select');
+    select.className = 'select-input';
+
+    const noneOption = document.createElement('option');
+    noneOption.value = '';
+    noneOption.textContent = 'No shortcut';
+    select.appendChild(noneOption);
+
+    slots.forEach((slot, index) => {
+      const option = document.createElement('option');
+      option.value = slot.name;
+      option.textContent = `Shortcut ${index + 1} (${describeKeys(slot)})`;
+
+      // Picking a slot another group uses moves it to this group
+      const owner = groups.find(g => g.id !== group.id && g.shortcut === slot.name);
+      if (owner) {
+        option.textContent += ` - used by ${owner.name}`;
+      }
+      select.appendChild(option);
+    });
+
+    select.value = group.shortcut || '';
+    select.addEventListener('change', () => assignShortcut(group.id, select.value));
+
+    item.appendChild(name);
+    item.appendChild(select);
+    container.appendChild(item);
+  });
+
+  otherContainer.innerHTML = '';
+  commands.filter(command => SHORTCUT_LABELS[command.name]).forEach(command => {
+    const item = document.createElement('div');
+    item.className = 'shortcut-item';
+
+    const name = document.createElement('span');
+    name.className = 'shortcut-name';
+    name.textContent = SHORTCUT_LABELS[command.name];
+
+    const keys = document.createElement('span');
+    keys.className = 'shortcut-keys';
+    keys.textContent = describeKeys(command);
+
+    item.appendChild(name);
+    item.appendChild(keys);
+    otherContainer.appendChild(item);
+  });
+}
+
+/**
+ * Give a group a keyboard shortcut, taking it from any group that had it
+ * @param {string} groupId - Group ID
+ * @param {string} command - Manifest command name, or '' for none
+ */
+async function assignShortcut(groupId, command) {
+  groups.forEach(group => {
+    if (group.id === groupId && command) {
+      group.shortcut = command;
+    } else if (group.id === groupId || (command && group.shortcut === command)) {
+      delete group.shortcut;
+    }
+  });
+
+  try {
+    await browser.runtime.sendMessage({
+      action: 'saveGroups',
+      groups: groups
+    });
+
+    renderShortcutList();
+  } catch (error) {
+    debug.error('Error saving shortcut:', error);
+    alert('Failed to save shortcut: ' + error.message);
+  }
+}
+
+/**
+ * Open Chrome's page for changing extension shortcut keys
+ */
+async function openShortcutSettings() {
+  try {
+    await browser.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  } catch (error) {
+    debug.error('Error opening shortcut settings:', error);
+    alert('Change the keys at chrome://extensions/shortcuts.');
+  }
+}
+
 /**
  * Update default group select dropdown
  */
@@ -967,6 +2242,224 @@ async function saveSettings() {
   }
 }
 
+/**
+ * Load the automation run log
+ */
+async function loadRunLog() {
+  const response = await browser.runtime.sendMessage({ action: 'getRunLog' });
+  runLog = response.runLog || [];
+  renderRunLog();
+}
+
+/**
+ * Fill a run log filter with the values seen in the log, keeping its selection
+ * @param {string} selectId - Filter select element ID
+ * @param {Array<Object>} options - { value, label }
+ */
+function updateRunFilter(selectId, options) {
+  const select = document.getElementById(selectId);
+  const selected = select.value;
+
+  // Keep the "All" option
+  while (select.options.length > 1) {
+    select.remove(1);
+  }
+
+  options
+    .sort((a, b) => a.label.localeCompare(b.label))
+    .forEach(({ value, label }) => select.add(new Option(label, value)));
+
+  // A filter whose runs were cleared falls back to "All"
+  select.value = options.some(option => option.value === selected) ? selected : '';
+}
+
+/**
+ * Render the run log, newest first, with the current filters applied
+ */
+function renderRunLog() {
+  const groupOptions = new Map();
+  const siteOptions = new Map();
+  runLog.forEach(run => {
+    if (run.groupId) groupOptions.set(run.groupId, run.groupName);
+    siteOptions.set(run.siteId, run.siteName);
+  });
+  updateRunFilter('runGroupFilter', [...groupOptions].map(([value, label]) => ({ value, label })));
+  updateRunFilter('runSiteFilter', [...siteOptions].map(([value, label]) => ({ value, label })));
+
+  const groupId = document.getElementById('runGroupFilter').value;
+  const siteId = document.getElementById('runSiteFilter').value;
+  const outcome = document.getElementById('runOutcomeFilter').value;
+  const runs = runLog
+    .filter(run => (!groupId || run.groupId === groupId) &&
+      (!siteId || run.siteId === siteId) &&
+      (!outcome || run.outcome === outcome))
+    .reverse();
+
+  const container = document.getElementById('runsList');
+  const emptyState = document.getElementById('emptyRunsState');
+  container.innerHTML = '';
+
+  if (runLog.length === 0) {
+    container.style.display = 'none';
+    emptyState.style.display = 'block';
+    return;
+  }
+
+  container.style.display = 'block';
+  emptyState.style.display = 'none';
+
+  if (runs.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'help-text';
+    empty.textContent = 'No runs match these filters.';
+    container.appendChild(empty);
+    return;
+  }
+
+  runs.forEach(run => container.appendChild(createRunItem(run)));
+}
+
+/**
+ * Build the run log entry for one automation run
+ * @param {Object} run - Run log entry
+ * @returns {HTMLElement}
+ */
+function createRunItem(run) {
+  const item = document.createElement('div');
+  item.className = `run-item outcome-${run.outcome}`;
+  item.dataset.runId = run.id;
+
+  const header = document.createElement('div');
+  header.className = 'run-header';
+
+  const outcome = document.createElement('span');
+  outcome.className = 'run-outcome';
+  outcome.textContent = RUN_OUTCOMES[run.outcome] || run.outcome;
+
+  const name = document.createElement('span');
+  name.className = 'run-name';
+  name.textContent = run.groupName ? `${run.groupName} › ${run.siteName}` : run.siteName;
+
+  const time = document.createElement('span');
+  time.className = 'run-time';
+  time.textContent = new Date(run.timestamp).toLocaleString(undefined, {
+    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+
+  header.appendChild(outcome);
+  header.appendChild(name);
+  header.appendChild(time);
+  item.appendChild(header);
+
+  const url = document.createElement('div');
+  url.className = 'run-url';
+  url.textContent = `${run.url} · ${(run.duration / 1000).toFixed(1)}s`;
+  item.appendChild(url);
+
+  if (run.error) {
+    const error = document.createElement('div');
+    error.className = 'run-error';
+    error.textContent = run.error;
+    item.appendChild(error);
+  }
+
+  if (run.logs && run.logs.length > 0) {
+    const logs = document.createElement('details');
+    logs.className = 'run-logs';
+
+    const summary = document.createElement('summary');
+    summary.textContent = `Log (${run.logs.length} line${run.logs.length !== 1 ? 's' : ''})`;
+
+    const output = document.createElement('pre');
+    output.textContent = run.logs.map(formatLogEntry).join('\n');
+
+    logs.appendChild(summary);
+    logs.appendChild(output);
+    item.appendChild(logs);
+  }
+
+  if (run.screenshot) {
+    const screenshot = document.createElement('details');
+    screenshot.className = 'run-screenshot';
+
+    const summary = document.createElement('summary');
+    summary.textContent = 'Screenshot';
+
+    const image = document.createElement('img');
+    image.src = run.screenshot;
+    image.alt = `${run.siteName} when the script failed`;
+
+    screenshot.appendChild(summary);
+    screenshot.appendChild(image);
+    item.appendChild(screenshot);
+  }
+
+  return item;
+}
+
+/**
+ * Show the run named in the page address, as opened from a failure notification
+ */
+function showLinkedRun() {
+  const match = location.hash.match(/^#run=(.+)$/);
+  if (!match) return;
+
+  switchTab('runs');
+  const item = document.querySelector(`.run-item[data-run-id="${CSS.escape(match[1])}"]`);
+  if (!item) return;
+
+  const screenshot = item.querySelector('.run-screenshot');
+  if (screenshot) {
+    screenshot.open = true;
+  }
+  item.classList.add('linked');
+  item.scrollIntoView({ block: 'center' });
+}
+
+/**
+ * Format a line an automation script logged
+ * @param {Object} entry - { time, level, message }
+ * @returns {string}
+ */
+function formatLogEntry(entry) {
+  const time = new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  const level = entry.level === 'log' ? '' : `${entry.level.toUpperCase()} `;
+  return `${time} ${level}${entry.message}`;
+}
+
+/**
+ * Export the run log as JSON
+ */
+function exportRunLog() {
+  const json = JSON.stringify(runLog, null, 2);
+  const blob = new Blob([json], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `linkstart-runs-${new Date().toISOString().split('T')[0]}.json`;
+  a.click();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Clear the run log
+ */
+async function clearRunLog() {
+  if (runLog.length === 0) return;
+  if (!confirm(`Delete all ${runLog.length} recorded runs?`)) return;
+
+  try {
+    await browser.runtime.sendMessage({ action: 'clearRunLog' });
+    runLog = [];
+    renderRunLog();
+  } catch (error) {
+    debug.error('Error clearing run log:', error);
+    alert('Failed to clear run log: ' + error.message);
+  }
+}
+
 /**
  * Export data
  */
@@ -1014,6 +2507,7 @@ async function importData(event) {
     renderUrls();
     renderGroups();
     updateDefaultGroupSelect();
+    renderShortcutList();
 
     alert('Import successful!');
   } catch (error) {
@@ -1066,7 +2560,7 @@ function renderUrls() {
     nameDiv.className = 'url-item-name';
     nameDiv.textContent = url.name;
 
-    if (url.automationScript) {
+    if (hasAutomation(url)) {
       const badge = document.createElement('span');
       badge.className = 'site-badge has-script';
       badge.textContent = 'Has Script';
@@ -1268,6 +2762,8 @@ function openScriptModal(groupId, siteId) {
   document.getElementById('scriptSiteName').textContent = site.name;
   document.getElementById('scriptSiteUrl').textContent = site.url;
   document.getElementById('automationScript').value = site.automationScript || '';
+  renderAutomationStages(site.automationStages || []);
+  document.getElementById('automationTimeout').value = site.automationTimeout || '';
   document.getElementById('scriptSiteEnabled').checked = site.enabled !== false;
 
   // Show the enabled checkbox for group sites
@@ -1293,12 +2789,16 @@ function closeScriptModal() {
 async function saveScript() {
   try {
     const script = document.getElementById('automationScript').value.trim();
+    const stages = readAutomationStages();
+    const timeout = parseInt(document.getElementById('automationTimeout').value) || null;
 
     // Check if we're editing a URL or a group site
     if (currentEditingUrl && !currentEditingGroup) {
       // Editing a URL
       const url = urls.find(u => u.id === currentEditingUrl);
       url.automationScript = script;
+      url.automationStages = stages;
+      url.automationTimeout = timeout;
 
       // Save to storage
       await browser.storage.local.set({ urls });
@@ -1308,6 +2808,8 @@ async function saveScript() {
         group.sites.forEach(site => {
           if (site.urlId === currentEditingUrl) {
             site.automationScript = script;
+            site.automationStages = stages;
+            site.automationTimeout = timeout;
           }
         });
       });
@@ -1327,6 +2829,8 @@ async function saveScript() {
       const site = group.sites.find(s => s.id === currentEditingSite);
 
       site.automationScript = script;
+      site.automationStages = stages;
+      site.automationTimeout = timeout;
       site.enabled = enabled;
 
       // Save to background
@@ -1361,6 +2865,8 @@ function openScriptModalForUrl(urlId) {
   document.getElementById('scriptSiteName').textContent = url.name;
   document.getElementById('scriptSiteUrl').textContent = url.url;
   document.getElementById('automationScript').value = url.automationScript || '';
+  renderAutomationStages(url.automationStages || []);
+  document.getElementById('automationTimeout').value = url.automationTimeout || '';
 
   // Hide the enabled checkbox for URLs (only relevant in groups)
   document.querySelector('.checkbox-group').style.display = 'none';
@@ -1369,6 +2875,73 @@ function openScriptModalForUrl(urlId) {
   document.getElementById('automationScript').focus();
 }
 
+/**
+ * Check if a URL or site has an automation script or stages
+ */
+function hasAutomation(item) {
+  return Boolean(item.automationScript) || (item.automationStages || []).length > 0;
+}
+
+/**
+ * Render automation stages in the script editor
+ */
+function renderAutomationStages(stages) {
+  document.getElementById('automationStages').innerHTML = '';
+  stages.forEach(stage => addStageItem(stage));
+}
+
+/**
+ * Add a stage editor (URL pattern + script) to the script modal
+ */
+function addStageItem(stage = { urlPattern: '', script: '' }) {
+  const container = document.getElementById('automationStages');
+
+  const item = document.createElement('div');
+  item.className = 'stage-item';
+
+  const header = document.createElement('div');
+  header.className = 'stage-item-header';
+
+  const patternInput = document.createElement('input');
+  patternInput.type = 'text';
+  patternInput.className = 'input stage-pattern';
+  patternInput.placeholder = 'URL pattern, e.g. login.microsoftonline.com or app.example.com/dashboard*';
+  patternInput.value = stage.urlPattern || '';
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'icon-btn remove-stage';
+  removeBtn.title = 'Remove stage';
+  removeBtn.textContent = '🗑️';
+
+  header.appendChild(patternInput);
+  header.appendChild(removeBtn);
+
+  const scriptInput = document.createElement('textarea');
+  scriptInput.className = 'textarea stage-script';
+  scriptInput.rows = 6;
+  scriptInput.placeholder = '// Runs once when the tab reaches a matching page';
+  scriptInput.value = stage.script || '';
+
+  item.appendChild(header);
+  item.appendChild(scriptInput);
+  container.appendChild(item);
+
+  removeBtn.addEventListener('click', () => item.remove());
+}
+
+/**
+ * Read automation stages from the script editor (stages without a script are dropped)
+ */
+function readAutomationStages() {
+  return Array.from(document.querySelectorAll('#automationStages .stage-item'))
+    .map(item => ({
+      urlPattern: item.querySelector('.stage-pattern').value.trim(),
+      script: item.querySelector('.stage-script').value.trim()
+    }))
+    .filter(stage => stage.script);
+}
+
 /**
  * Escape HTML to prevent XSS
  */
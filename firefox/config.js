@@ -5,7 +5,9 @@
  * When DEBUG is false, all console logging will be disabled.
  */
 
-const CONFIG = {
+// Automation injects this file again into pages it has already run on, so each
+// global is only defined the first time
+globalThis.CONFIG ??= {
   // Set to false for production builds
   DEBUG: true,
 
@@ -16,7 +18,7 @@ const CONFIG = {
 /**
  * Debug logger - only logs when DEBUG is enabled
  */
-const debug = {
+globalThis.debug ??= {
   log: (...args) => {
     if (CONFIG.DEBUG) {
       console.log('[LinkStart]', ...args);
@@ -6,6 +6,11 @@
 (function() {
   'use strict';
 
+  // Already injected into this document; its message listener runs the new script
+  if (globalThis.__linkStartAutomation) {
+    return;
+  }
+
   // Helper functions available to automation scripts
   const helpers = {
     /**
@@ -35,7 +40,7 @@
 
         const timeoutId = setTimeout(() => {
           observer.disconnect();
-          reject(new Error(`Timeout waiting for element: ${selector}`));
+          reject(elementError(`Timeout waiting for element: ${selector}`, selector));
         }, timeout);
       });
     },
@@ -46,7 +51,7 @@
     fillInput: async function(selector, value) {
       const element = await helpers.waitForElement(selector);
       if (!element) {
-        throw new Error(`Element not found: ${selector}`);
+        throw elementError(`Element not found: ${selector}`, selector);
       }
 
       element.focus();
@@ -62,7 +67,7 @@
     clickElement: async function(selector) {
       const element = await helpers.waitForElement(selector);
       if (!element) {
-        throw new Error(`Element not found: ${selector}`);
+        throw elementError(`Element not found: ${selector}`, selector);
       }
 
       element.click();
@@ -128,7 +133,7 @@
     selectOption: async function(selector, value) {
       const element = await helpers.waitForElement(selector);
       if (!element || element.tagName !== 'SELECT') {
-        throw new Error(`Select element not found: ${selector}`);
+        throw elementError(`Select element not found: ${selector}`, selector);
       }
 
       element.value = value;
@@ -141,7 +146,7 @@
     setChecked: async function(selector, checked = true) {
       const element = await helpers.waitForElement(selector);
       if (!element || (element.type !== 'checkbox' && element.type !== 'radio')) {
-        throw new Error(`Checkbox/radio element not found: ${selector}`);
+        throw elementError(`Checkbox/radio element not found: ${selector}`, selector);
       }
 
       if (element.checked !== checked) {
@@ -217,12 +222,117 @@
     }
   };
 
+  // How long a failed script's element stays highlighted, in ms
+  const FAILURE_HIGHLIGHT_DURATION = 5000;
+
+  /**
+   * Error from a helper that couldn't find its element
+   * Carries the selector so the failure can be highlighted on the page
+   * @param {string} message - Error message
+   * @param {string} selector - Selector the helper was looking for
+   * @returns {Error}
+   */
+  function elementError(message, selector) {
+    const error = new Error(message);
+    error.selector = selector;
+    return error;
+  }
+
+  /**
+   * Mark the element a failed script was looking for, so a failure screenshot shows it
+   * When nothing matches, a banner names the selector instead
+   * @param {string} selector - Selector the script failed on
+   */
+  function highlightFailure(selector) {
+    let element = null;
+    try {
+      element = document.querySelector(selector);
+    } catch (error) {
+      // Invalid selector; fall back to the banner
+    }
+
+    if (element) {
+      const { outline, outlineOffset } = element.style;
+      element.scrollIntoView({ block: 'center' });
+      element.style.outline = '3px solid #f44336';
+      element.style.outlineOffset = '2px';
+      setTimeout(() => {
+        element.style.outline = outline;
+        element.style.outlineOffset = outlineOffset;
+      }, FAILURE_HIGHLIGHT_DURATION);
+      return;
+    }
+
+    const banner = document.createElement('div');
+    banner.textContent = `LinkStart: element not found: ${selector}`;
+    banner.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; z-index: 2147483647; ' +
+      'padding: 8px 12px; background: #f44336; color: white; font: 13px sans-serif;';
+    document.documentElement.appendChild(banner);
+    setTimeout(() => banner.remove(), FAILURE_HIGHLIGHT_DURATION);
+  }
+
+  /**
+   * Turn log() arguments into one line for the run log
+   * @param {Array} args - Arguments passed to log()
+   * @returns {string} Log line
+   */
+  function formatLogArgs(args) {
+    return args.map(arg => {
+      if (typeof arg === 'string') return arg;
+      if (arg instanceof Error) return arg.message;
+
+      try {
+        const json = JSON.stringify(arg);
+        return json === undefined ? String(arg) : json;
+      } catch (error) {
+        // Circular structures
+        return String(arg);
+      }
+    }).join(' ');
+  }
+
+  /**
+   * Give the script a console that also records what it writes
+   * @param {Function} record - Called with the level and arguments of each call
+   * @returns {Object} Console for the script
+   */
+  function createScriptConsole(record) {
+    // Methods other than these go straight to the page console
+    const scriptConsole = Object.create(console);
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+      scriptConsole[level] = (...args) => {
+        record(level, args);
+        console[level](...args);
+      };
+    });
+    return scriptConsole;
+  }
+
   /**
    * Execute automation script
+   * @param {string} script - Automation script source
+   * @param {string} siteName - Site name used in messages
+   * @param {string} runId - Run the script's output is logged under
+   * @param {boolean} highlight - Highlight the element the script fails on
    */
-  async function executeAutomation(script, siteName) {
+  async function executeAutomation(script, siteName, runId, highlight) {
     debug.log('[LinkStart] Executing automation script for:', siteName);
 
+    // The script's log() and console output goes to the run log as well as the console
+    const logs = [];
+    const record = (level, args) => {
+      const entry = { time: Date.now(), level, message: formatLogArgs(args) };
+      logs.push(entry);
+
+      // Streamed so the popup can show it while the script runs
+      browser.runtime.sendMessage({ action: 'automationLog', runId, siteName, entry }).catch(() => {});
+    };
+    const log = (...args) => {
+      record('log', args);
+      helpers.log(...args);
+    };
+    const scriptConsole = createScriptConsole(record);
+
     try {
       // Create async function with helper functions in scope
       const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
@@ -241,7 +351,6 @@
         setChecked,
         scrollToElement,
         typeText,
-        log,
         waitForDOMReady,
         waitForPageLoad,
         waitForNetworkIdle
@@ -265,6 +374,7 @@
         'waitForDOMReady',
         'waitForPageLoad',
         'waitForNetworkIdle',
+        'console',
         script
       );
 
@@ -290,7 +400,8 @@
           log,
           waitForDOMReady,
           waitForPageLoad,
-          waitForNetworkIdle
+          waitForNetworkIdle,
+          scriptConsole
         ),
         timeoutPromise
       ]);
@@ -300,7 +411,8 @@
       // Notify background script of success
       browser.runtime.sendMessage({
         action: 'automationComplete',
-        siteName: siteName
+        siteName: siteName,
+        logs
       });
 
     } catch (error) {
@@ -308,6 +420,11 @@
       debug.error('[LinkStart] Error details:', error);
       debug.error('[LinkStart] Stack trace:', error.stack);
 
+      // Shown in the failure screenshot taken next
+      if (highlight && error.selector) {
+        highlightFailure(error.selector);
+      }
+
       // Provide more helpful error messages
       let errorMessage = error.message;
 
@@ -321,7 +438,8 @@
       browser.runtime.sendMessage({
         action: 'automationError',
         error: `Automation failed for ${siteName}: ${errorMessage}`,
-        siteName: siteName
+        siteName: siteName,
+        logs
       });
     }
   }
@@ -331,10 +449,15 @@
    */
   browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'executeAutomation') {
-      executeAutomation(message.script, message.siteName);
+      executeAutomation(message.script, message.siteName, message.runId, message.highlightFailure);
       return true; // Keep message channel open for async response
     }
   });
 
+  globalThis.__linkStartAutomation = {
+    helpers,
+    executeAutomation
+  };
+
   debug.log('[LinkStart] Content script loaded');
 })();
@@ -189,7 +189,46 @@ async function initializeDefaultData() {
     await saveSettings({
       mode: 'single',
       defaultGroupId: exampleGroup.id,
-      autostartDelay: 10
+      autostartMode: 'sequential'
     });
   }
 }
+
+// Most automation runs kept in the run log; older runs are dropped
+const RUN_LOG_LIMIT = 500;
+
+// Most recent runs whose failure screenshot is kept; older runs keep their record without it
+const RUN_SCREENSHOT_LIMIT = 10;
+
+// Run log appends, chained so runs finishing together don't overwrite each other
+let runLogWrites = Promise.resolve();
+
+async function getRunLog() {
+  const result = await browser.storage.local.get('runLog');
+  return result.runLog || [];
+}
+
+function addRunLogEntry(entry) {
+  runLogWrites = runLogWrites.then(async () => {
+    const runLog = await getRunLog();
+    runLog.push(entry);
+
+    // Screenshots are large; drop them from all but the latest runs that have one
+    let screenshots = 0;
+    for (let i = runLog.length - 1; i >= 0; i--) {
+      if (runLog[i].screenshot && ++screenshots > RUN_SCREENSHOT_LIMIT) {
+        delete runLog[i].screenshot;
+      }
+    }
+
+    await browser.storage.local.set({ runLog: runLog.slice(-RUN_LOG_LIMIT) });
+  }).catch(error => {
+    debug.error('Error saving run log:', error);
+  });
+  return runLogWrites;
+}
+
+async function clearRunLog() {
+  await runLogWrites;
+  await browser.storage.local.set({ runLog: [] });
+}